@@ -0,0 +1,354 @@
+// api/_lib/archive.js — a league's finished seasons, kept after FPL resets for the next
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+const { seasonName } = require('./fpl');
+const { createFileSnapshotStore, updateSeasonSnapshot, summariseSeason } = require('./snapshots');
+const { REASONS, createIssueLog } = require('./issues');
+
+// Stored with every archive. Unlike a snapshot an archive cannot be rebuilt once FPL
+// has reset, so a future shape change has to upgrade older archives, not drop them.
+const ARCHIVE_SCHEMA = 1;
+
+// --- Store ---
+//
+// Archives go through the snapshot store interface (versioned JSON via latest/save,
+// see snapshots.js) but into a store of their own: snapshots can be rebuilt from FPL
+// at any time, an archive holds the only copy of a season FPL has reset. Point
+// FPL_ARCHIVE_DIR at lasting storage, or plug in another backend with setArchiveStore().
+// Without either, archives go to the OS temp dir, which does not outlive a serverless
+// instance: that store is marked `persistent: false` (see isPersistent in snapshots.js)
+// and get-archive says so.
+
+let defaultStore = process.env.FPL_ARCHIVE_DIR
+  ? createFileSnapshotStore(process.env.FPL_ARCHIVE_DIR)
+  : { ...createFileSnapshotStore(path.join(os.tmpdir(), 'roboticsfpl-archive')), persistent: false };
+
+/**
+ * Replace the process-wide archive store (e.g. with a blob storage adapter).
+ */
+function setArchiveStore(store) {
+  defaultStore = store;
+}
+
+/** The process-wide archive store, for clients that are not given one. */
+function getArchiveStore() {
+  return defaultStore;
+}
+
+const archiveKey = ({ leagueId, leagueType }) => `archive-${leagueType}-${leagueId}`;
+
+const seasonFinished = (bootstrapData) =>
+  bootstrapData.events.length > 0 && bootstrapData.events.every(e => e.finished);
+
+// Competition ranking (1, 1, 3) on total points
+const rankByPoints = (standings) => {
+  standings.sort((a, b) => b.totalPoints - a.totalPoints);
+  standings.forEach((row, i) => {
+    const previous = standings[i - 1];
+    row.position = previous && previous.totalPoints === row.totalPoints ? previous.position : i + 1;
+  });
+  return standings;
+};
+
+// managerId → /entry/{id}/history/, or null where it could not be fetched
+async function loadHistories(client, managerIds, issues) {
+  const responses = await Promise.all(managerIds.map(managerId =>
+    client.history(managerId)
+      .then(data => ({ managerId, data }))
+      .catch(error => {
+        issues.error({ managerId, reason: REASONS.HISTORY_FAILED });
+        console.warn(`History for manager ${managerId} failed: ${error.message}`);
+        return { managerId, data: null };
+      })
+  ));
+  return Object.fromEntries(responses.map(({ managerId, data }) => [managerId, data]));
+}
+
+/**
+ * Bring a league's archive up to date:
+ * - members not seen before have their past seasons imported from the `past` rows of
+ *   /entry/{id}/history/. Imported seasons hold totals and overall ranks only, with
+ *   positions reconstructed among the members who played them.
+ * - once every gameweek has finished, the season is archived: final standings (with
+ *   each member's GW scores) and the season-data payload served by get-season-data.
+ *   Archiving waits for a complete season; GWs that failed to load are retried on the
+ *   next update.
+ * An archived season replaces an imported copy and is never imported into afterwards.
+ * A new version is saved whenever anything was added.
+ *
+ * Returns { archive, imported, archivedSeason, issues }: the managers imported and the
+ * season archived by this update, and the issues met on the way.
+ * @param {{ leagueId, leagueType, maxManagers }} league
+ * @param {{ bootstrapData, leagueData }} data from the caller's Step 1
+ */
+async function updateArchive(client, league, { bootstrapData, leagueData }) {
+  const key = archiveKey(league);
+  const previous = await client.archive.latest(key);
+  let seasons = previous ? previous.seasons : [];
+  const importedManagers = new Set(previous ? previous.importedManagers : []);
+  const issues = createIssueLog(leagueData.managers);
+
+  const current = seasonName(bootstrapData);
+  const archiveNow = seasonFinished(bootstrapData) &&
+    !seasons.some(s => s.season === current && s.source === 'archived');
+  const toImport = leagueData.managers.filter(m => !importedManagers.has(m.entry));
+
+  const histories = archiveNow || toImport.length > 0
+    ? await loadHistories(client, (archiveNow ? leagueData.managers : toImport).map(m => m.entry), issues)
+    : {};
+
+  // Past seasons of new members
+  const imported = [];
+  const touched = new Set();
+  for (const member of toImport) {
+    const history = histories[member.entry];
+    if (!history) continue;
+    for (const past of history.past || []) {
+      let season = seasons.find(s => s.season === past.season_name);
+      // The archive already knows who was in the league that season
+      if (season && season.source === 'archived') continue;
+      if (!season) {
+        season = { season: past.season_name, source: 'imported', lastGameweek: null, truncated: false, standings: [], seasonData: null };
+        seasons.push(season);
+      }
+      season.standings = season.standings.filter(row => row.managerId !== member.entry);
+      season.standings.push({
+        managerId: member.entry,
+        managerName: member.player_name,
+        teamName: member.entry_name,
+        position: null,
+        totalPoints: past.total_points,
+        overallRank: past.rank ?? null,
+        gameweeks: null
+      });
+      touched.add(season);
+    }
+    importedManagers.add(member.entry);
+    imported.push(member.entry);
+  }
+  touched.forEach(season => rankByPoints(season.standings));
+
+  // The season just finished
+  let archivedSeason = null;
+  if (archiveNow) {
+    const { snapshot, issues: snapshotIssues } = await updateSeasonSnapshot(client, league, { bootstrapData, leagueData });
+    const { warnings, errors } = snapshotIssues.report();
+    for (const [log, list] of [[issues.warn, warnings], [issues.error, errors]]) {
+      for (const { managerId, reason, gameweeks, message } of list) {
+        if (gameweeks.length === 0) log({ managerId, reason, message });
+        gameweeks.forEach(gameweek => log({ managerId, gameweek, reason, message }));
+      }
+    }
+    const complete = errors.length === 0 && leagueData.managers.every(m => histories[m.entry]);
+
+    if (complete) {
+      const finishedGWs = new Set(bootstrapData.events.map(e => e.id));
+      const standings = leagueData.managers.map(m => {
+        const rows = (histories[m.entry].current || []).filter(h => finishedGWs.has(h.event));
+        const last = rows[rows.length - 1];
+        return {
+          managerId: m.entry,
+          managerName: m.player_name,
+          teamName: m.entry_name,
+          position: m.rank ?? null,
+          totalPoints: last ? last.total_points : m.total,
+          ...(league.leagueType === 'h2h' ? { leaguePoints: m.leaguePoints } : {}),
+          overallRank: last ? last.overall_rank : null,
+          gameweeks: rows.map(h => ({ gw: h.event, points: h.points, hits: h.event_transfers_cost }))
+        };
+      });
+      // The league's own final table where FPL ranked everyone, otherwise on points
+      if (standings.every(row => row.position !== null)) standings.sort((a, b) => a.position - b.position);
+      else rankByPoints(standings);
+
+      seasons = seasons.filter(s => s.season !== current);
+      seasons.push({
+        season: current,
+        source: 'archived',
+        archivedAt: new Date().toISOString(),
+        lastGameweek: snapshot.lastFinishedGW,
+        truncated: leagueData.truncated,
+        standings,
+        seasonData: summariseSeason(snapshot, leagueData.managers, bootstrapData)
+      });
+      archivedSeason = current;
+    }
+  }
+
+  if (previous && imported.length === 0 && !archivedSeason) {
+    return { archive: previous, imported, archivedSeason, issues };
+  }
+
+  const archive = {
+    schema: ARCHIVE_SCHEMA,
+    version: previous ? previous.version + 1 : 1,
+    key,
+    leagueId: String(league.leagueId),
+    leagueType: league.leagueType,
+    leagueName: leagueData.league ? leagueData.league.name : null,
+    updatedAt: new Date().toISOString(),
+    importedManagers: [...importedManagers].sort((a, b) => a - b),
+    seasons: seasons.sort((a, b) => a.season.localeCompare(b.season))
+  };
+  await client.archive.save(key, archive);
+  return { archive, imported, archivedSeason, issues };
+}
+
+/**
+ * Update the archive of each league whose season has finished, for the scheduled job.
+ * Costs one bootstrap request while the season is still running.
+ * @param {Array<number|string>} leagueIds
+ * @param {{ leagueType, maxManagers }} options
+ * @returns {Promise<Array<object>>} one summary per league archived
+ */
+async function archiveFinishedSeasons(client, leagueIds, { leagueType, maxManagers }) {
+  const bootstrapData = await client.bootstrap();
+  if (!seasonFinished(bootstrapData)) return [];
+  const summaries = [];
+  for (const leagueId of leagueIds) {
+    const leagueData = await client.leagueManagers(leagueId, maxManagers, leagueType);
+    if (!leagueData) continue;
+    const league = { leagueId, leagueType, maxManagers };
+    const { archive, archivedSeason, issues } = await updateArchive(client, league, { bootstrapData, leagueData });
+    summaries.push({
+      leagueId: String(leagueId),
+      status: archivedSeason ? 'archived' : 'current',
+      version: archive.version,
+      seasons: archive.seasons.map(s => s.season),
+      ...issues.report()
+    });
+  }
+  return summaries;
+}
+
+// --- Records ---
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const managerOf = (row) => ({ managerId: row.managerId, managerName: row.managerName, teamName: row.teamName });
+
+/**
+ * All-time table over the archived seasons: seasons played, titles, podiums, points
+ * and finishes per manager, ordered by total points. Names are the latest on record.
+ */
+function allTimeTable(seasons) {
+  const table = new Map();
+  for (const season of seasons) {
+    for (const row of season.standings) {
+      const entry = table.get(row.managerId) || {
+        managerId: row.managerId, managerName: null, teamName: null,
+        seasons: 0, titles: 0, podiums: 0, totalPoints: 0, finishes: [], bestOverallRank: null
+      };
+      Object.assign(entry, managerOf(row));
+      entry.seasons += 1;
+      if (row.position === 1) entry.titles += 1;
+      if (row.position <= 3) entry.podiums += 1;
+      entry.totalPoints += row.totalPoints;
+      entry.finishes.push(row.position);
+      if (row.overallRank && (entry.bestOverallRank === null || row.overallRank < entry.bestOverallRank)) {
+        entry.bestOverallRank = row.overallRank;
+      }
+      table.set(row.managerId, entry);
+    }
+  }
+  return [...table.values()]
+    .map(({ finishes, ...entry }) => ({
+      ...entry,
+      averagePoints: round(entry.totalPoints / entry.seasons),
+      bestFinish: Math.min(...finishes),
+      averageFinish: round(finishes.reduce((sum, f) => sum + f, 0) / finishes.length, 2)
+    }))
+    .sort((a, b) => b.totalPoints - a.totalPoints || b.titles - a.titles);
+}
+
+/**
+ * Every pair of managers who shared a season: how often each finished above the
+ * other and, in archived seasons (which keep GW scores), how often each outscored the
+ * other in a gameweek, net of hits. One row per manager per opponent.
+ */
+function headToHeadRecords(seasons) {
+  const records = new Map();
+  const recordOf = (a, b) => {
+    const pair = `${a.managerId}:${b.managerId}`;
+    if (!records.has(pair)) {
+      records.set(pair, {
+        ...managerOf(a),
+        opponentId: b.managerId,
+        opponentName: b.managerName,
+        opponentTeamName: b.teamName,
+        seasons: 0, seasonWins: 0, seasonDraws: 0, seasonLosses: 0,
+        gameweeks: 0, gameweekWins: 0, gameweekDraws: 0, gameweekLosses: 0
+      });
+    }
+    return Object.assign(records.get(pair), managerOf(a), { opponentName: b.managerName, opponentTeamName: b.teamName });
+  };
+  const netScores = (row) => new Map((row.gameweeks || []).map(g => [g.gw, g.points - g.hits]));
+
+  for (const season of seasons) {
+    const scores = new Map(season.standings.map(row => [row.managerId, netScores(row)]));
+    for (const a of season.standings) {
+      for (const b of season.standings) {
+        if (a === b) continue;
+        const record = recordOf(a, b);
+        record.seasons += 1;
+        if (a.position < b.position) record.seasonWins += 1;
+        else if (a.position > b.position) record.seasonLosses += 1;
+        else record.seasonDraws += 1;
+
+        const theirs = scores.get(b.managerId);
+        for (const [gw, points] of scores.get(a.managerId)) {
+          if (!theirs.has(gw)) continue;
+          record.gameweeks += 1;
+          if (points > theirs.get(gw)) record.gameweekWins += 1;
+          else if (points < theirs.get(gw)) record.gameweekLosses += 1;
+          else record.gameweekDraws += 1;
+        }
+      }
+    }
+  }
+  return [...records.values()].sort((a, b) => a.managerId - b.managerId || a.opponentId - b.opponentId);
+}
+
+/**
+ * The league's hall of fame: most titles, best season total and overall rank, best
+ * gameweek (archived seasons) and most points spent on hits in a season. The first
+ * manager to reach a record keeps it; a record nobody has set yet is left out.
+ * @returns {Array<{ id, title, value, managerId, managerName, teamName, season, gameweek }>}
+ */
+function hallOfFame(seasons) {
+  const best = new Map();
+  const consider = (id, title, value, row, { season = null, gameweek = null, lowest = false } = {}) => {
+    if (value === null || value === undefined) return;
+    const holder = best.get(id);
+    if (holder && (lowest ? value >= holder.value : value <= holder.value)) return;
+    best.set(id, { id, title, value, ...managerOf(row), season, gameweek });
+  };
+
+  for (const row of allTimeTable(seasons)) {
+    if (row.titles > 0) consider('mostTitles', 'Most titles', row.titles, row);
+  }
+  for (const { season, standings } of seasons) {
+    for (const row of standings) {
+      consider('highestSeasonTotal', 'Highest season total', row.totalPoints, row, { season });
+      consider('bestOverallRank', 'Best overall rank', row.overallRank, row, { season, lowest: true });
+      if (!row.gameweeks) continue;
+      for (const g of row.gameweeks) {
+        consider('highestGameweek', 'Highest gameweek score', g.points - g.hits, row, { season, gameweek: g.gw });
+      }
+      const hits = row.gameweeks.reduce((sum, g) => sum + g.hits, 0);
+      if (hits > 0) consider('mostHits', 'Most points spent on hits', hits, row, { season });
+    }
+  }
+  const order = ['mostTitles', 'highestSeasonTotal', 'bestOverallRank', 'highestGameweek', 'mostHits'];
+  return order.filter(id => best.has(id)).map(id => best.get(id));
+}
+
+module.exports = {
+  ARCHIVE_SCHEMA,
+  setArchiveStore, getArchiveStore,
+  archiveKey, seasonFinished, updateArchive, archiveFinishedSeasons,
+  allTimeTable, headToHeadRecords, hallOfFame
+};
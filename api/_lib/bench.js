@@ -0,0 +1,100 @@
+// api/_lib/bench.js — bench management for finished gameweeks
+'use strict';
+
+const { GKP, DEF, MID, FWD, resolveAutoSubs } = require('./fpl');
+
+// Every ordering of a list (the outfield bench is only ever 3 players)
+const permutations = (items) => items.length <= 1
+  ? [items]
+  : items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+
+/**
+ * Highest-scoring legal XI from a squad: one goalkeeper, at least 3 DEF / 2 MID / 1 FWD,
+ * and the best of the remaining outfield players in the free slots. Because the
+ * minimums are fixed, taking the top players per position and then the top of the rest
+ * is optimal.
+ * @param {number[]} elements the squad
+ * @param {(element: number) => number} pointsOf
+ * @param {object} elementTypes playerId → element_type
+ * @returns {number[]} the XI
+ */
+function optimalXI(elements, pointsOf, elementTypes) {
+  const byPoints = [...elements].sort((a, b) => pointsOf(b) - pointsOf(a));
+  const ofType = (type) => byPoints.filter(el => elementTypes[el] === type);
+
+  const xi = [
+    ...ofType(GKP).slice(0, 1),
+    ...ofType(DEF).slice(0, 3),
+    ...ofType(MID).slice(0, 2),
+    ...ofType(FWD).slice(0, 1)
+  ];
+  const rest = byPoints.filter(el => elementTypes[el] !== GKP && !xi.includes(el));
+  return [...xi, ...rest.slice(0, 11 - xi.length)];
+}
+
+/**
+ * Bench management for one manager in one finished GW:
+ *  - points:             the GW score after auto-subs (before transfer hits)
+ *  - benchPoints:        points scored by bench players who never came on
+ *  - optimalPoints:      the best legal XI from the 15 owned
+ *  - optimalBenchPoints: the same XI with the outfield bench in the best order
+ *
+ * Captaincy is held fixed — the armband's extra points as the GW actually played out
+ * are added to every score — so only team selection is measured. With Bench Boost all
+ * 15 score and every figure equals `points`.
+ *
+ * Returns null if the manager has no picks.
+ */
+function analyseBench(picksData, playerDataForGW, { elementTypes } = {}) {
+  if (!picksData || !Array.isArray(picksData.picks)) return null;
+  const { picks } = picksData;
+  const types = elementTypes || {};
+  const options = { elementTypes, activeChip: picksData.active_chip };
+
+  const pointsOf = (element) => {
+    const data = playerDataForGW[element];
+    return data ? data.points : 0;
+  };
+  const scoreOf = (lineup) => lineup.reduce((sum, p) => sum + pointsOf(p.element) * p.multiplier, 0);
+
+  const resolved = resolveAutoSubs(picks, playerDataForGW, options);
+  const points = scoreOf(resolved.lineup);
+  if (picksData.active_chip === 'bboost') {
+    return { points, benchPoints: 0, optimalPoints: points, optimalBenchPoints: points };
+  }
+
+  const captainBonus = resolved.captain
+    ? pointsOf(resolved.captain.element) * (resolved.captain.multiplier - 1)
+    : 0;
+  const fielded = new Set(resolved.lineup.map(p => p.element));
+  const benchPoints = picks
+    .filter(p => p.position >= 12 && !fielded.has(p.element))
+    .reduce((sum, p) => sum + pointsOf(p.element), 0);
+
+  const xi = optimalXI(picks.map(p => p.element), pointsOf, types);
+  const optimalPoints = xi.reduce((sum, el) => sum + pointsOf(el), 0) + captainBonus;
+
+  // Reorder the outfield bench (slots 13–15); the bench goalkeeper stays in slot 12
+  const bench = picks.filter(p => p.position >= 12).sort((a, b) => a.position - b.position);
+  const outfield = bench.filter(p => types[p.element] !== GKP);
+  const keeper = bench.filter(p => types[p.element] === GKP);
+  const starters = picks.filter(p => p.position <= 11);
+  let optimalBenchPoints = points;
+  for (const order of permutations(outfield)) {
+    const reordered = [...keeper, ...order].map((p, i) => ({ ...p, position: 12 + i }));
+    const lineup = resolveAutoSubs([...starters, ...reordered], playerDataForGW, options).lineup;
+    optimalBenchPoints = Math.max(optimalBenchPoints, scoreOf(lineup));
+  }
+
+  return { points, benchPoints, optimalPoints, optimalBenchPoints };
+}
+
+/**
+ * Season "management efficiency": points scored as a percentage of the optimal-XI
+ * points, to one decimal place. 100 when nothing has been scored yet.
+ */
+const managementEfficiency = (points, optimalPoints) =>
+  optimalPoints > 0 ? Math.round((points / optimalPoints) * 1000) / 10 : 100;
+
+module.exports = { optimalXI, analyseBench, managementEfficiency };
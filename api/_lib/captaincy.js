@@ -0,0 +1,103 @@
+// api/_lib/captaincy.js — captaincy counterfactuals for finished gameweeks
+'use strict';
+
+const { resolveAutoSubs } = require('./fpl');
+
+/**
+ * The league's most-captained player in one GW, counted from each manager's original
+ * armband pick. Ties go to the lower element id so the answer is stable.
+ * @param {Array<object|null>} picksDatas one picks response per manager (null = no team)
+ * @returns {{ element: number, count: number }|null}
+ */
+function mostCaptainedPlayer(picksDatas) {
+  const counts = new Map();
+  for (const picksData of picksDatas) {
+    const captain = picksData && Array.isArray(picksData.picks)
+      ? picksData.picks.find(p => p.is_captain)
+      : null;
+    if (captain) counts.set(captain.element, (counts.get(captain.element) || 0) + 1);
+  }
+  let best = null;
+  for (const [element, count] of counts) {
+    if (!best || count > best.count || (count === best.count && element < best.element)) {
+      best = { element, count };
+    }
+  }
+  return best;
+}
+
+/**
+ * Score one manager's captaincy in a finished GW against three alternatives: the
+ * best armband choice in their XI (any of the 15 with Bench Boost), their vice-captain,
+ * and the league's most-captained player.
+ *
+ * Each alternative moves the armband (keeping Triple Captain's ×3) and re-runs auto-subs
+ * and vice-captain promotion, so a blanking alternative is valued the way FPL would
+ * have scored it. `lost` is the GW points left on the table against the best choice and
+ * is never negative; the vice/most-captained deltas are signed (positive = that choice
+ * would have scored more). A most-captained player outside the manager's XI cannot be
+ * captained: their delta is null.
+ *
+ * Returns null if the manager had no captain that GW.
+ */
+function scoreCaptaincy(picksData, playerDataForGW, { elementTypes, mostCaptained } = {}) {
+  if (!picksData || !Array.isArray(picksData.picks)) return null;
+  const { picks } = picksData;
+  const captainPick = picks.find(p => p.is_captain);
+  if (!captainPick) return null;
+  const vicePick = picks.find(p => p.is_vice_captain);
+  const options = { elementTypes, activeChip: picksData.active_chip };
+
+  const pointsOf = (element) => {
+    const data = playerDataForGW[element];
+    return data ? data.points : 0;
+  };
+  const scoreOf = (lineup) => lineup.reduce((sum, p) => sum + pointsOf(p.element) * p.multiplier, 0);
+
+  // The GW score had `element` worn the armband; a swapped captain becomes the vice
+  const scoreWithCaptain = (element) => {
+    const swapped = picks.map(p => ({
+      ...p,
+      is_captain: p.element === element,
+      is_vice_captain: vicePick && element === vicePick.element
+        ? p.element === captainPick.element
+        : p.is_vice_captain,
+      multiplier: p.element === element ? captainPick.multiplier : (p.is_captain ? 1 : p.multiplier)
+    }));
+    return scoreOf(resolveAutoSubs(swapped, playerDataForGW, options).lineup);
+  };
+
+  const resolved = resolveAutoSubs(picks, playerDataForGW, options);
+  const actualScore = scoreOf(resolved.lineup);
+  const captainable = new Set(
+    picks.filter(p => p.position <= 11 || picksData.active_chip === 'bboost').map(p => p.element)
+  );
+  const deltaFor = (element) =>
+    captainable.has(element) ? scoreWithCaptain(element) - actualScore : null;
+
+  const captain = { element: resolved.captain.element, points: pointsOf(resolved.captain.element) };
+  let best = { ...captain, delta: 0 };
+  for (const element of captainable) {
+    const delta = deltaFor(element);
+    if (delta > best.delta) best = { element, points: pointsOf(element), delta };
+  }
+
+  const vice = vicePick ? { element: vicePick.element, points: pointsOf(vicePick.element) } : null;
+  const popular = mostCaptained
+    ? { element: mostCaptained.element, points: pointsOf(mostCaptained.element) }
+    : null;
+
+  return {
+    captain,
+    promotedFrom: resolved.captain.promotedFrom,
+    multiplier: resolved.captain.multiplier,
+    best: { element: best.element, points: best.points },
+    vice,
+    mostCaptained: popular,
+    lost: best.delta,
+    viceDelta: vice ? deltaFor(vice.element) : null,
+    mostCaptainedDelta: popular ? deltaFor(popular.element) : null
+  };
+}
+
+module.exports = { mostCaptainedPlayer, scoreCaptaincy };
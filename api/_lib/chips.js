@@ -0,0 +1,56 @@
+// api/_lib/chips.js — what each chip actually gained in a finished gameweek
+'use strict';
+
+const { resolveAutoSubs } = require('./fpl');
+
+const CHIP_NAMES = {
+  wildcard: 'Wildcard',
+  freehit: 'Free Hit',
+  bboost: 'Bench Boost',
+  '3xc': 'Triple Captain'
+};
+
+// Picks as a chipless week would score them: captain ×2, bench on the bench
+const withoutChip = (picks) => picks.map(p => ({
+  ...p,
+  multiplier: p.position >= 12 ? 0 : (p.multiplier === 3 ? 2 : p.multiplier)
+}));
+
+/**
+ * Score a chip against the same GW played without it:
+ *  - Bench Boost: normal auto-subs instead of all 15 scoring (the bench points gained);
+ *  - Triple Captain: the armband at ×2 instead of ×3;
+ *  - Free Hit and Wildcard: the previous GW's squad, unchanged, in this GW.
+ * Scores are before transfer hits and follow auto-sub and vice-captain rules.
+ *
+ * Returns { chip, name, points, counterfactualPoints, gain }. The counterfactual and
+ * gain are null when there is nothing to compare against (no previous squad, or a chip
+ * this report does not know).
+ */
+function scoreChip(picksData, previousPicksData, playerDataForGW, { elementTypes } = {}) {
+  const chip = picksData.active_chip;
+  const scoreOf = (picks, activeChip) =>
+    resolveAutoSubs(picks, playerDataForGW, { elementTypes, activeChip }).lineup
+      .reduce((sum, p) => {
+        const data = playerDataForGW[p.element];
+        return sum + (data ? data.points : 0) * p.multiplier;
+      }, 0);
+
+  const points = scoreOf(picksData.picks, chip);
+  let counterfactualPoints = null;
+  if (chip === 'bboost' || chip === '3xc') {
+    counterfactualPoints = scoreOf(withoutChip(picksData.picks), null);
+  } else if ((chip === 'freehit' || chip === 'wildcard') && previousPicksData && Array.isArray(previousPicksData.picks)) {
+    counterfactualPoints = scoreOf(withoutChip(previousPicksData.picks), null);
+  }
+
+  return {
+    chip,
+    name: CHIP_NAMES[chip] || chip,
+    points,
+    counterfactualPoints,
+    gain: counterfactualPoints === null ? null : points - counterfactualPoints
+  };
+}
+
+module.exports = { CHIP_NAMES, scoreChip };
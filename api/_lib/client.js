@@ -0,0 +1,266 @@
+// api/_lib/client.js — single entry point for every FPL API request
+'use strict';
+
+const { defaultTransport, defaultScheduler, fetchWithRetry, fetchPicksSafe, createRequestCache } = require('./fpl');
+const { getSnapshotStore } = require('./snapshots');
+const { getArchiveStore } = require('./archive');
+
+const DEFAULT_BASE_URL = 'https://fantasy.premierleague.com/api';
+
+/**
+ * FPL API client. Every endpoint talks to FPL through one of these so the transport
+ * and base URL can be swapped out — e.g. pointed at a local fixture server via
+ * FPL_API_BASE_URL, or given a transport that serves recorded JSON in tests.
+ *
+ * Finished-gameweek data (`{ finished: true }`) is served through the request cache.
+ * Every request, retries included, goes through a scheduler (by default the one
+ * shared by the whole process) that paces and de-duplicates them, so callers can
+ * issue requests in parallel.
+ */
+class FplClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] API root, without trailing slash
+   * @param {(url: string) => Promise<{ ok: boolean, status: number, json: () => Promise<any> }>} [options.transport]
+   * @param {number} [options.retries] attempts per request
+   * @param {number} [options.retryDelay] base backoff delay in ms
+   * @param {object} [options.cache] a createRequestCache() instance
+   * @param {object} [options.scheduler] a createScheduler() instance
+   * @param {object} [options.snapshots] a season snapshot store (see snapshots.js)
+   * @param {object} [options.archive] a store for finished seasons (see archive.js)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.FPL_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const transport = options.transport || defaultTransport;
+    const scheduler = options.scheduler || defaultScheduler;
+    this.transport = (url) => scheduler.schedule(url, transport);
+    this.retries = options.retries ?? 4;
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.cache = options.cache || createRequestCache();
+    this.snapshots = options.snapshots || getSnapshotStore();
+    this.archive = options.archive || getArchiveStore();
+  }
+
+  url(pathname) {
+    return `${this.baseUrl}${pathname}`;
+  }
+
+  async getJson(pathname) {
+    const response = await fetchWithRetry(this.url(pathname), this.retries, this.retryDelay, this.transport);
+    return response.json();
+  }
+
+  /** @returns {Promise<object>} /bootstrap-static/ */
+  bootstrap() {
+    return this.getJson('/bootstrap-static/');
+  }
+
+  /**
+   * One page of a classic league's standings. Returns null if the league does not exist.
+   * @param {number|string} leagueId
+   * @param {{ pageStandings?: number, pageNewEntries?: number }} [pages]
+   * @returns {Promise<object|null>}
+   */
+  async leagueStandings(leagueId, { pageStandings = 1, pageNewEntries = 1 } = {}) {
+    const url = this.url(
+      `/leagues-classic/${leagueId}/standings/?page_standings=${pageStandings}&page_new_entries=${pageNewEntries}`
+    );
+    // Unknown leagues come back either as a 404 or as a 200 with { detail: 'Not found.' }
+    const response = await fetchPicksSafe(url, this.retries, this.retryDelay, this.transport);
+    if (!response) return null;
+    const data = await response.json();
+    return data.detail === 'Not found.' ? null : data;
+  }
+
+  /**
+   * One page of a head-to-head league's standings. Returns null if the league does
+   * not exist. `total` on each row is H2H league points (3/1/0), `points_for` the FPL
+   * points scored.
+   * @param {number|string} leagueId
+   * @param {{ pageStandings?: number, pageNewEntries?: number }} [pages]
+   * @returns {Promise<object|null>}
+   */
+  async h2hStandings(leagueId, { pageStandings = 1, pageNewEntries = 1 } = {}) {
+    const url = this.url(
+      `/leagues-h2h/${leagueId}/standings/?page_standings=${pageStandings}&page_new_entries=${pageNewEntries}`
+    );
+    const response = await fetchPicksSafe(url, this.retries, this.retryDelay, this.transport);
+    if (!response) return null;
+    const data = await response.json();
+    return data.detail === 'Not found.' ? null : data;
+  }
+
+  /**
+   * Every H2H match of a league in one gameweek, walking `page` until `has_next` is
+   * false. A match against the league average has a null `entry_2_entry`.
+   * @param {number|string} leagueId
+   * @param {number} gw
+   * @returns {Promise<Array<object>>}
+   */
+  async h2hMatches(leagueId, gw) {
+    const matches = [];
+    let page = 1;
+    let hasNext = true;
+    while (hasNext) {
+      const data = await this.getJson(`/leagues-h2h-matches/league/${leagueId}/?event=${gw}&page=${page}`);
+      matches.push(...data.results);
+      hasNext = data.has_next;
+      page++;
+    }
+    return matches;
+  }
+
+  /**
+   * Every manager in a classic or H2H league, walking `page_standings` until
+   * `has_next` is false. Before the season's first deadline the standings are empty
+   * and members are listed under `new_entries` instead; those are walked via
+   * `page_new_entries` and returned in the same shape with a total of 0.
+   *
+   * `total` is always the manager's FPL points; for H2H leagues the row also carries
+   * `leaguePoints` and the won/drawn/lost record.
+   *
+   * maxManagers optionally caps how many managers are returned (and fetched).
+   * @param {number|string} leagueId
+   * @param {number} [maxManagers]
+   * @param {'classic'|'h2h'} [leagueType]
+   * @returns {Promise<{ league: object, managers: Array<{ entry: number, entry_name: string, player_name: string, total: number }>, truncated: boolean }|null>}
+   *   null if the league does not exist
+   */
+  async leagueManagers(leagueId, maxManagers = Infinity, leagueType = 'classic') {
+    const fetchPage = leagueType === 'h2h'
+      ? (pages) => this.h2hStandings(leagueId, pages)
+      : (pages) => this.leagueStandings(leagueId, pages);
+    const toManager = leagueType === 'h2h'
+      ? (row) => ({
+        entry: row.entry,
+        entry_name: row.entry_name,
+        player_name: row.player_name,
+        total: row.points_for,
+        leaguePoints: row.total,
+        matchesWon: row.matches_won,
+        matchesDrawn: row.matches_drawn,
+        matchesLost: row.matches_lost,
+        rank: row.rank
+      })
+      : (row) => row;
+
+    const managers = [];
+    let league = null;
+    let truncated = false;
+
+    // Standings pages
+    let page = 1;
+    let hasNext = true;
+    let firstPage = null;
+    while (hasNext) {
+      const data = await fetchPage({ pageStandings: page });
+      if (!data) {
+        if (page === 1) return null;
+        // A later page FPL cannot serve ends the table early: keep what was found so far
+        truncated = true;
+        break;
+      }
+      if (!firstPage) firstPage = data;
+      league = data.league;
+      managers.push(...data.standings.results.map(toManager));
+      hasNext = data.standings.has_next;
+      if (managers.length >= maxManagers) {
+        truncated = hasNext || managers.length > maxManagers;
+        break;
+      }
+      page++;
+    }
+
+    // Season not started yet: members only appear as new entries
+    if (managers.length === 0 && firstPage.new_entries) {
+      let newEntries = firstPage.new_entries;
+      let newPage = 1;
+      while (true) {
+        for (const entry of newEntries.results) {
+          managers.push({
+            entry: entry.entry,
+            entry_name: entry.entry_name,
+            player_name: `${entry.player_first_name} ${entry.player_last_name}`,
+            total: 0
+          });
+        }
+        if (managers.length >= maxManagers) {
+          truncated = newEntries.has_next || managers.length > maxManagers;
+          break;
+        }
+        if (!newEntries.has_next) break;
+        newPage++;
+        const data = await fetchPage({ pageNewEntries: newPage });
+        // A page FPL cannot serve ends the list early: keep what was found so far
+        if (!data || !data.new_entries) {
+          truncated = true;
+          break;
+        }
+        newEntries = data.new_entries;
+      }
+    }
+
+    return { league, managers: managers.slice(0, maxManagers), truncated };
+  }
+
+  /**
+   * A manager's picks for one GW, or null if they have none (404, mid-season joiner).
+   * Throws once retries are exhausted. Nulls are not cached either: a GW that 404s
+   * before the deadline will have picks once it passes.
+   * @param {number|string} entryId
+   * @param {number} gw
+   * @param {{ finished?: boolean }} [options]
+   * @returns {Promise<object|null>}
+   */
+  picks(entryId, gw, { finished = false } = {}) {
+    const url = this.url(`/entry/${entryId}/event/${gw}/picks/`);
+    return this.cache.remember(url, { finished, storeNull: false }, async () => {
+      const response = await fetchPicksSafe(url, this.retries, this.retryDelay, this.transport);
+      return response ? response.json() : null;
+    });
+  }
+
+  /**
+   * Live player stats for one GW. Throws on a payload without `elements`, which is
+   * never cached.
+   * @param {number} gw
+   * @param {{ finished?: boolean }} [options]
+   * @returns {Promise<object>} /event/{gw}/live/
+   */
+  live(gw, { finished = false } = {}) {
+    const pathname = `/event/${gw}/live/`;
+    const isValid = (data) => Boolean(data) && Array.isArray(data.elements);
+    return this.cache.remember(this.url(pathname), { finished, isValid }, () => this.getJson(pathname));
+  }
+
+  /**
+   * @param {number} [gw] restrict to one gameweek
+   * @returns {Promise<Array<object>>} /fixtures/
+   */
+  fixtures(gw) {
+    return this.getJson(gw ? `/fixtures/?event=${gw}` : '/fixtures/');
+  }
+
+  /**
+   * @param {number|string} entryId
+   * @returns {Promise<Array<object>>} /entry/{id}/transfers/
+   */
+  transfers(entryId) {
+    return this.getJson(`/entry/${entryId}/transfers/`);
+  }
+
+  /**
+   * @param {number|string} entryId
+   * @returns {Promise<object>} /entry/{id}/history/ ({ current, past, chips })
+   */
+  history(entryId) {
+    return this.getJson(`/entry/${entryId}/history/`);
+  }
+
+  /** Cache hit/miss counts for the requests made through this client. */
+  cacheSummary() {
+    return this.cache.summary();
+  }
+}
+
+module.exports = { FplClient, DEFAULT_BASE_URL };
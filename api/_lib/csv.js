@@ -0,0 +1,75 @@
+// api/_lib/csv.js — CSV exports of endpoint tables
+'use strict';
+
+// Text a spreadsheet would run as a formula. Only strings are neutralised: negative
+// numbers (net gains, hits) stay numbers.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The leading columns of every per-manager table
+const MANAGER_COLUMNS = [
+  ['manager_id', 'managerId'],
+  ['manager_name', 'managerName'],
+  ['team_name', 'teamName']
+];
+
+/**
+ * Render rows as RFC 4180 CSV with a header line. Columns are [header, accessor]
+ * pairs; an accessor is a row key or a function of the row. Null and undefined
+ * become empty cells.
+ * @param {Array<[string, string|function]>} columns
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => escapeCell(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns
+      .map(([, accessor]) => escapeCell(typeof accessor === 'function' ? accessor(row) : row[accessor]))
+      .join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse `format` (json | csv, default json) and `table` (one of the endpoint's CSV
+ * tables, default the first) from the query.
+ * @param {object} query
+ * @param {object} tables tableName → { columns, rows: (body) => rows }
+ * @returns {{ format: string, table: string } | { error: string }}
+ */
+function parseReportOptions(query, tables) {
+  const format = query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return { error: "format must be 'json' or 'csv'." };
+  }
+  const names = Object.keys(tables);
+  const table = query.table || names[0];
+  if (format === 'csv' && !names.includes(table)) {
+    return { error: `table must be one of: ${names.join(', ')}.` };
+  }
+  return { format, table, tables };
+}
+
+/**
+ * Send a response body as JSON, or one of its tables as a CSV download named
+ * `<basename>-<table>.csv`. Column schemas are fixed per table so exports from
+ * different weeks line up in a spreadsheet.
+ */
+function sendReport(res, report, basename, body) {
+  if (report.format !== 'csv') return res.status(200).json(body);
+  const { columns, rows } = report.tables[report.table];
+  // basename carries query values such as leagueId; keep the header well-formed
+  const filename = `${basename}-${report.table}.csv`.replace(/[^\w.-]/g, '_');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.status(200).send(toCsv(columns, rows(body)));
+}
+
+module.exports = { MANAGER_COLUMNS, toCsv, parseReportOptions, sendReport };
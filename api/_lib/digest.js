@@ -0,0 +1,198 @@
+// api/_lib/digest.js — the weekly league recap and its delivery to a chat webhook
+'use strict';
+
+const { resolveAutoSubs } = require('./fpl');
+
+const WEBHOOK_FORMATS = ['slack', 'discord'];
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+// Rows of the table shown at the end of the digest
+const TABLE_LENGTH = 10;
+
+const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+// Every row sharing the best value of `key`, or none when the best is not `worthy`
+const leaders = (rows, key, { lowest = false, worthy = () => true } = {}) => {
+  if (rows.length === 0) return [];
+  const values = rows.map(r => r[key]);
+  const best = lowest ? Math.min(...values) : Math.max(...values);
+  return worthy(best) ? rows.filter(r => r[key] === best) : [];
+};
+
+/**
+ * A finished GW for a league, from every manager's picks and the GW's live data. Per
+ * manager: GW points, hits, auto-sub points (FPL's own automatic_subs), the captain
+ * who scored (after vice promotion) and league position before and after the GW.
+ * Positions are on total points, net of hits; managers without usable picks are left
+ * out.
+ *
+ * @param {Array<{ entry, player_name, entry_name }>} managers league members
+ * @param {object} picksByManager managerId → picks response for the GW, or null
+ * @param {object} gwData playerId → { points, minutes }
+ * @param {{ elementTypes: object, playerNames: object }} players from bootstrap
+ * @returns {{ standings, topScorers, risers, fallers, hits, autoSubs, captains }}
+ */
+function summariseGameweek(managers, picksByManager, gwData, { elementTypes, playerNames }) {
+  const pointsOf = (element) => (gwData[element] ? gwData[element].points : 0);
+
+  const standings = [];
+  for (const manager of managers) {
+    const picksData = picksByManager[manager.entry];
+    if (!picksData) continue;
+    const history = picksData.entry_history;
+    const { captain } = resolveAutoSubs(picksData.picks, gwData, {
+      elementTypes,
+      activeChip: picksData.active_chip
+    });
+    standings.push({
+      managerId: manager.entry,
+      managerName: manager.player_name,
+      teamName: manager.entry_name,
+      activeChip: picksData.active_chip || null,
+      points: history.points,
+      hits: history.event_transfers_cost,
+      total: history.total_points,
+      // total_points is net of hits: undo this GW to get last GW's total
+      previousTotal: history.total_points - history.points + history.event_transfers_cost,
+      autoSubPoints: (picksData.automatic_subs || []).reduce((sum, sub) => sum + pointsOf(sub.element_in), 0),
+      captain: captain
+        ? {
+          element: captain.element,
+          name: playerNames[captain.element] || null,
+          multiplier: captain.multiplier,
+          points: pointsOf(captain.element) * captain.multiplier,
+          promotedFrom: captain.promotedFrom
+        }
+        : null
+    });
+  }
+
+  const positionsBy = (key) => new Map([...standings]
+    .sort((a, b) => b[key] - a[key])
+    .map((row, i) => [row.managerId, i + 1]));
+  const positions = positionsBy('total');
+  const lastPositions = positionsBy('previousTotal');
+  for (const row of standings) {
+    row.position = positions.get(row.managerId);
+    row.lastPosition = lastPositions.get(row.managerId);
+    row.positionChange = row.lastPosition - row.position;
+  }
+  standings.sort((a, b) => a.position - b.position);
+
+  // Armband picks as made, most popular first, with how often the vice had to step in
+  const captains = new Map();
+  for (const { captain } of standings) {
+    if (!captain) continue;
+    const element = captain.promotedFrom ?? captain.element;
+    const entry = captains.get(element)
+      || { element, name: playerNames[element] || null, points: pointsOf(element), count: 0, viceCount: 0 };
+    entry.count += 1;
+    if (captain.promotedFrom !== null) entry.viceCount += 1;
+    captains.set(element, entry);
+  }
+
+  return {
+    standings,
+    topScorers: leaders(standings, 'points'),
+    risers: leaders(standings, 'positionChange', { worthy: change => change > 0 }),
+    fallers: leaders(standings, 'positionChange', { lowest: true, worthy: change => change < 0 }),
+    hits: standings.filter(r => r.hits > 0).sort((a, b) => b.hits - a.hits),
+    autoSubs: leaders(standings, 'autoSubPoints', { worthy: points => points > 0 }),
+    captains: [...captains.values()].sort((a, b) => b.count - a.count || b.points - a.points)
+  };
+}
+
+/**
+ * The digest as one message. `style` sets the emphasis: 'markdown' (**bold**, as
+ * Discord reads it), 'slack' (Slack's *bold*) or 'text' (none).
+ * @param {object} summary from summariseGameweek
+ * @param {{ leagueName: string, gameweek: number, style?: string }} options
+ * @returns {string}
+ */
+function renderDigest(summary, { leagueName, gameweek, style = 'markdown' }) {
+  const bold = style === 'text' ? (s) => s : style === 'slack' ? (s) => `*${s}*` : (s) => `**${s}**`;
+  const teams = (rows) => rows.map(r => r.teamName).join(', ');
+  const { standings, topScorers, risers, fallers, hits, autoSubs, captains } = summary;
+
+  const lines = [bold(`${leagueName || 'League'} — Gameweek ${gameweek} recap`), ''];
+  if (standings.length === 0) {
+    lines.push('No teams could be loaded for this gameweek.');
+    return lines.join('\n');
+  }
+
+  lines.push(`${bold('Top scorer')}: ${teams(topScorers)} with ${topScorers[0].points} pts`);
+  lines.push(`${bold('Leader')}: ${standings[0].teamName} on ${standings[0].total} pts`);
+  if (risers.length > 0) {
+    lines.push(`${bold('Biggest climb')}: ${risers.map(r => `${r.teamName} (▲${r.positionChange} to ${ordinal(r.position)})`).join(', ')}`);
+  }
+  if (fallers.length > 0) {
+    lines.push(`${bold('Biggest drop')}: ${fallers.map(r => `${r.teamName} (▼${-r.positionChange} to ${ordinal(r.position)})`).join(', ')}`);
+  }
+  lines.push(`${bold('Hits')}: ${hits.length > 0 ? hits.map(r => `${r.teamName} −${r.hits}`).join(', ') : 'none taken'}`);
+  lines.push(`${bold('Auto-sub luck')}: ${autoSubs.length > 0
+    ? `${teams(autoSubs)} with ${autoSubs[0].autoSubPoints} pts off the bench`
+    : 'no points off the bench'}`);
+  if (captains.length > 0) {
+    lines.push(`${bold('Captains')}: ${captains
+      .map(c => `${c.name || `#${c.element}`} ${c.points} pts (${c.count} ${c.count === 1 ? 'manager' : 'managers'}${
+        c.viceCount > 0 ? `, vice played for ${c.viceCount}` : ''})`)
+      .join(', ')}`);
+  }
+
+  lines.push('', bold('Table'));
+  for (const row of standings.slice(0, TABLE_LENGTH)) {
+    const change = row.positionChange > 0 ? ` ▲${row.positionChange}` : row.positionChange < 0 ? ` ▼${-row.positionChange}` : '';
+    lines.push(`${row.position}. ${row.teamName} — ${row.total} (${row.points} this GW)${change}`);
+  }
+  if (standings.length > TABLE_LENGTH) {
+    lines.push(`…and ${standings.length - TABLE_LENGTH} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The webhook's format: `explicit` when it is 'slack' or 'discord', otherwise guessed
+ * from the URL (Discord webhooks live on discord.com), defaulting to Slack.
+ */
+function webhookFormat(url, explicit) {
+  if (WEBHOOK_FORMATS.includes(explicit)) return explicit;
+  return /^https?:\/\/([\w-]+\.)*discord(app)?\.com\//.test(url || '') ? 'discord' : 'slack';
+}
+
+/**
+ * JSON body for a chat webhook: Slack's { text } in its own markup, or Discord's
+ * { content } in Markdown, cut to Discord's length limit.
+ */
+function webhookPayload(summary, { leagueName, gameweek }, format) {
+  if (format === 'discord') {
+    const content = renderDigest(summary, { leagueName, gameweek, style: 'markdown' });
+    return { content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content };
+  }
+  return { text: renderDigest(summary, { leagueName, gameweek, style: 'slack' }) };
+}
+
+/**
+ * POST a payload to a webhook. Resolves to { ok, status }; status is null when the
+ * webhook could not be reached at all.
+ */
+async function postWebhook(url, payload, transport = fetch) {
+  try {
+    const response = await transport(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    return { ok: response.ok, status: response.status };
+  } catch (error) {
+    console.warn(`Webhook POST failed: ${error.message}`);
+    return { ok: false, status: null };
+  }
+}
+
+module.exports = { WEBHOOK_FORMATS, summariseGameweek, renderDigest, webhookFormat, webhookPayload, postWebhook };
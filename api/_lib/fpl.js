@@ -1,18 +1,29 @@
 // api/_lib/fpl.js — shared utilities for FPL serverless functions
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const FPL_HEADERS = { 'User-Agent': 'RoboticsFPL/1.0' };
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Default transport: the global fetch with FPL headers. Any (url) → Response-like
+ * function ({ ok, status, json() }) can stand in for it.
+ */
+const defaultTransport = (url) => fetch(url, { headers: FPL_HEADERS });
+
 /**
  * Fetch with exponential backoff retry.
  * Waits baseDelay*attempt ms between retries (2s, 4s, 6s, 8s by default).
  */
-const fetchWithRetry = async (url, retries = 4, baseDelay = 2000) => {
+const fetchWithRetry = async (url, retries = 4, baseDelay = 2000, transport = defaultTransport) => {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(url, { headers: FPL_HEADERS });
+      const response = await transport(url);
       if (response.ok) return response;
       if (attempt < retries) {
         const wait = baseDelay * attempt;
@@ -34,14 +45,12 @@ const fetchWithRetry = async (url, retries = 4, baseDelay = 2000) => {
 
 /**
  * Fetch picks for a single manager/GW. Returns null on 404 (mid-season joiners)
- * instead of throwing.
+ * and throws once retries are exhausted, so callers can tell the two apart.
  */
-const fetchPicksSafe = async (url) => {
-  const retries = 4;
-  const baseDelay = 2000;
+const fetchPicksSafe = async (url, retries = 4, baseDelay = 2000, transport = defaultTransport) => {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(url, { headers: FPL_HEADERS });
+      const response = await transport(url);
       if (response.ok) return response;
       if (response.status === 404) return null;
       if (attempt < retries) {
@@ -59,29 +68,373 @@ const fetchPicksSafe = async (url) => {
       }
     }
   }
-  return null;
+  throw new Error(`Failed to fetch ${url} after ${retries} attempts.`);
 };
 
+// --- Request scheduling ---
+//
+// Every FPL request in the process goes through one scheduler, so endpoints can fire
+// off all their requests at once (Promise.all) and leave pacing to it.
+
+// Defaults keep well under FPL's (unpublished) limits; override per deployment
+const DEFAULT_CONCURRENCY = Number(process.env.FPL_MAX_CONCURRENCY) || 6;
+const DEFAULT_REQUESTS_PER_SECOND = Number(process.env.FPL_REQUESTS_PER_SECOND) || 10;
+// Wait applied to a 429 that carries no usable Retry-After
+const DEFAULT_RETRY_AFTER_MS = 5000;
+const MAX_RATE_LIMITED_ATTEMPTS = 3;
+
 /**
- * Run an array of async task functions in batches, with a delay between batches.
+ * Milliseconds to wait from a Retry-After header (delta-seconds or an HTTP date), or
+ * null if the response has none.
  */
-async function batchFetch(tasks, batchSize = 5, delayMs = 200) {
-  const results = [];
-  for (let i = 0; i < tasks.length; i += batchSize) {
-    const batch = tasks.slice(i, i + batchSize);
-    const batchResults = await Promise.all(batch.map(fn => fn()));
-    results.push(...batchResults);
-    if (i + batchSize < tasks.length) await sleep(delayMs);
-  }
-  return results;
+const retryAfterMs = (response, now = Date.now()) => {
+  const value = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('retry-after')
+    : null;
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Create a request scheduler. `schedule(url, transport)` resolves to a Response-like
+ * { ok, status, headers, json() } once the request has run, and guarantees:
+ *  - at most `concurrency` requests in flight;
+ *  - request starts spaced to stay within `requestsPerSecond`;
+ *  - identical URLs already queued or in flight on the same transport share one
+ *    request; the body is read once and every json() call gets its own copy, so a
+ *    caller that changes the data does not change it for the others;
+ *  - a 429 pauses the whole queue for the Retry-After the server asked for (or
+ *    DEFAULT_RETRY_AFTER_MS) and re-queues the request, up to
+ *    MAX_RATE_LIMITED_ATTEMPTS times before the 429 is handed back to the caller.
+ * Transport errors, and a 2xx body that is not JSON, reject the shared promise;
+ * retries are the caller's (fetchWithRetry).
+ */
+function createScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND
+} = {}) {
+  const minGap = requestsPerSecond === Infinity ? 0 : 1000 / requestsPerSecond;
+  const queue = [];
+  // transport → url → promise of the request queued or in flight
+  const pending = new Map();
+  const stats = { requests: 0, deduplicated: 0, rateLimited: 0 };
+  let active = 0;
+  let lastStart = -Infinity;
+  let pausedUntil = 0;
+  let timer = null;
+
+  const settle = ({ url, transport }) => {
+    const urls = pending.get(transport);
+    urls.delete(url);
+    if (urls.size === 0) pending.delete(transport);
+  };
+
+  const run = async (job) => {
+    active++;
+    stats.requests++;
+    lastStart = Date.now();
+    try {
+      const response = await job.transport(job.url);
+      if (response.status === 429 && job.attempts < MAX_RATE_LIMITED_ATTEMPTS) {
+        stats.rateLimited++;
+        job.attempts++;
+        const wait = retryAfterMs(response) ?? DEFAULT_RETRY_AFTER_MS;
+        pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+        console.warn(`  Rate limited on ${job.url}. Pausing requests for ${wait}ms...`);
+        queue.unshift(job);
+        return;
+      }
+      // An error page served as a 200 (FPL's "game is being updated") is a failed
+      // request for fetchWithRetry to retry, not a null body
+      const data = await response.json().catch(error => {
+        if (response.ok) throw new Error(`Malformed JSON from ${job.url}: ${error.message}`);
+        return null;
+      });
+      settle(job);
+      job.resolve({ ok: response.ok, status: response.status, headers: response.headers, json: async () => structuredClone(data) });
+    } catch (error) {
+      settle(job);
+      job.reject(error);
+    } finally {
+      active--;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (queue.length > 0 && active < concurrency) {
+      const now = Date.now();
+      const startAt = Math.max(lastStart + minGap, pausedUntil);
+      if (startAt > now) {
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            pump();
+          }, startAt - now);
+        }
+        return;
+      }
+      run(queue.shift());
+    }
+  };
+
+  const schedule = (url, transport = defaultTransport) => {
+    if (!pending.has(transport)) pending.set(transport, new Map());
+    const urls = pending.get(transport);
+    const existing = urls.get(url);
+    if (existing) {
+      stats.deduplicated++;
+      return existing;
+    }
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ url, transport, attempts: 0, resolve, reject });
+    });
+    urls.set(url, promise);
+    pump();
+    return promise;
+  };
+
+  return { schedule, stats: () => ({ ...stats, queued: queue.length, active }) };
+}
+
+// Shared by every FplClient that is not given its own scheduler
+const defaultScheduler = createScheduler();
+
+// --- Cache ---
+//
+// A backend is any object with async get(key) → entry | undefined and
+// set(key, entry, ttlMs). Entries are { value } envelopes so a cached null (a 404
+// picks response) is distinguishable from a miss. A KV store (Vercel KV, Redis, ...)
+// plugs in by implementing the same two methods.
+
+// Finished-gameweek data is immutable; anything else may still change.
+const FINISHED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LIVE_TTL_MS = 60 * 1000;
+
+const ttlFor = (finished) => (finished ? FINISHED_TTL_MS : LIVE_TTL_MS);
+
+/**
+ * In-memory backend. Survives between invocations of a warm serverless instance.
+ */
+function createMemoryBackend() {
+  const store = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const item = store.get(key);
+      if (!item) return undefined;
+      if (item.expiresAt < Date.now()) {
+        store.delete(key);
+        return undefined;
+      }
+      return item.entry;
+    },
+    async set(key, entry, ttlMs) {
+      store.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    }
+  };
 }
 
 /**
- * Simulate auto-subs for a given set of picks in a GW.
- * If a starter has 0 minutes, swap in the first eligible bench player (by position
- * order 12–15) with >0 minutes, inheriting the starter's multiplier.
+ * Filesystem backend: one JSON file per key under `dir`. Defaults to FPL_CACHE_DIR or
+ * the OS temp dir (the only writable path on serverless hosts). I/O errors are logged
+ * and treated as a miss so a read-only disk never breaks a request.
  */
-function simulateAutoSubs(picks, playerDataForGW) {
+function createFileBackend(dir = process.env.FPL_CACHE_DIR || path.join(os.tmpdir(), 'roboticsfpl-cache')) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    name: 'filesystem',
+    async get(key) {
+      try {
+        const item = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        if (item.expiresAt < Date.now()) return undefined;
+        return item.entry;
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`  Cache read failed for ${key}: ${error.message}`);
+        return undefined;
+      }
+    },
+    async set(key, entry, ttlMs) {
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(fileFor(key), JSON.stringify({ key, entry, expiresAt: Date.now() + ttlMs }));
+      } catch (error) {
+        console.warn(`  Cache write failed for ${key}: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Chain backends fastest-first. A hit in a slower backend is copied into the faster
+ * ones for whatever is left of its TTL (entry.expiresAt), or for the entry's full
+ * ttlMs when a backend's entries carry no expiry.
+ */
+function createTieredBackend(backends) {
+  return {
+    name: backends.map(b => b.name).join('+'),
+    async get(key) {
+      for (let i = 0; i < backends.length; i++) {
+        const entry = await backends[i].get(key);
+        if (entry !== undefined) {
+          const remainingMs = entry.expiresAt ? entry.expiresAt - Date.now() : (entry.ttlMs || LIVE_TTL_MS);
+          if (remainingMs > 0) {
+            for (let j = 0; j < i; j++) await backends[j].set(key, entry, remainingMs);
+          }
+          return entry;
+        }
+      }
+      return undefined;
+    },
+    async set(key, entry, ttlMs) {
+      await Promise.all(backends.map(b => b.set(key, entry, ttlMs)));
+    }
+  };
+}
+
+let defaultBackend = createTieredBackend([createMemoryBackend(), createFileBackend()]);
+
+/**
+ * Replace the process-wide cache backend (e.g. with a KV store adapter).
+ */
+function setCacheBackend(backend) {
+  defaultBackend = backend;
+}
+
+/**
+ * Create a per-request cache view over the shared backend. `remember` returns the
+ * cached value for `key` or runs `load` and stores its result, counting hits and
+ * misses so endpoints can report them. `finished` selects the TTL: long for finished
+ * gameweeks, short otherwise. With `storeNull: false` a null result is not stored.
+ * `isValid` guards the cache against bad payloads: a loaded value that fails it is
+ * an error and is not stored, and a cached one that fails it is treated as a miss.
+ */
+function createRequestCache(backend = defaultBackend) {
+  const stats = { hits: 0, misses: 0 };
+
+  const remember = async (key, { finished = false, storeNull = true, isValid = () => true } = {}, load) => {
+    const entry = await backend.get(key);
+    if (entry !== undefined && isValid(entry.value)) {
+      stats.hits++;
+      return entry.value;
+    }
+    stats.misses++;
+    const value = await load();
+    if (!isValid(value)) throw new Error(`Unexpected response for ${key}`);
+    if (value === null && !storeNull) return value;
+    const ttlMs = ttlFor(finished);
+    await backend.set(key, { value, ttlMs, expiresAt: Date.now() + ttlMs }, ttlMs);
+    return value;
+  };
+
+  return {
+    remember,
+    summary: () => ({ backend: backend.name, hits: stats.hits, misses: stats.misses })
+  };
+}
+
+/**
+ * Parse the optional `maxManagers` query parameter. Returns Infinity when absent,
+ * a positive integer when valid, or null when invalid.
+ */
+function parseManagerCap(value) {
+  if (value === undefined || value === '') return Infinity;
+  const cap = Number(value);
+  return Number.isInteger(cap) && cap > 0 ? cap : null;
+}
+
+/**
+ * Parse the optional `leagueType` query parameter: 'classic' (default) or 'h2h'.
+ * Returns null when invalid.
+ */
+function parseLeagueType(value) {
+  if (value === undefined || value === '') return 'classic';
+  return value === 'classic' || value === 'h2h' ? value : null;
+}
+
+/**
+ * The season bootstrap describes, named as FPL names past seasons ('2025/26'), or
+ * null before the fixture list is out. Anything stored per league across gameweeks
+ * is keyed by it, so it starts afresh when FPL resets for a new season.
+ */
+function seasonName(bootstrapData) {
+  const first = bootstrapData.events[0];
+  if (!first) return null;
+  const year = new Date(first.deadline_time).getUTCFullYear();
+  return `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+// FPL element_type ids
+const GKP = 1;
+const DEF = 2;
+const MID = 3;
+const FWD = 4;
+
+// Minimum number of starters per element_type in a legal XI
+const FORMATION_MINIMUMS = { [GKP]: 1, [DEF]: 3, [MID]: 2, [FWD]: 1 };
+
+/**
+ * Check whether a count of starters per element_type is a legal FPL formation:
+ * exactly one goalkeeper, at least 3 DEF, 2 MID and 1 FWD.
+ */
+function isValidFormation(counts) {
+  if ((counts[GKP] || 0) !== 1) return false;
+  return [DEF, MID, FWD].every(type => (counts[type] || 0) >= FORMATION_MINIMUMS[type]);
+}
+
+const POSITION_NAMES = { [GKP]: 'GKP', [DEF]: 'DEF', [MID]: 'MID', [FWD]: 'FWD' };
+
+/**
+ * Resolve FPL's automatic substitutions and captaincy for a set of picks in a GW.
+ *
+ * Follows the official rules:
+ *  - a starter is replaced only if they played 0 minutes and their fixtures are over
+ *    (playerData `finished: false` marks a fixture still to play, for live projection);
+ *  - bench players are tried in priority order (positions 12–15) and must have played;
+ *    one whose fixture is still to play keeps the first place they could take, so a
+ *    later bench player is never projected in ahead of them;
+ *  - the bench goalkeeper can only replace the starting goalkeeper, outfield players
+ *    only outfield starters;
+ *  - a swap is skipped if it would leave fewer than 3 DEF / 2 MID / 1 FWD;
+ *  - if the captain doesn't play, the vice-captain takes over the captain's multiplier
+ *    (including Triple Captain). Substitutes always come in with multiplier 1.
+ * With Bench Boost active no substitutions are made and all 15 players score, but the
+ * vice-captain rule still applies.
+ *
+ * options.elementTypes (playerId → bootstrap element_type) enables the goalkeeper and
+ * formation rules; without it any bench player may replace any starter.
+ *
+ * Returns:
+ *  {
+ *    lineup:        [{ element, multiplier }]  scoring players, XI slot order (+ bench for BB)
+ *    substitutions: [{ elementOut, elementIn, position, benchSlot, reason }]
+ *    skipped:       [{ element, benchSlot, reason }]  bench players passed over
+ *    captain:       { element, multiplier, promotedFrom }  who carries the armband
+ *  }
+ */
+function resolveAutoSubs(picks, playerDataForGW, options = {}) {
+  const { elementTypes, activeChip } = options;
+  const benchBoost = activeChip === 'bboost';
+
+  const played = (element) => {
+    const data = playerDataForGW[element];
+    return data ? data.minutes > 0 : false;
+  };
+  const didNotPlay = (element) => {
+    const data = playerDataForGW[element];
+    if (!data) return true;
+    return data.minutes <= 0 && data.finished !== false;
+  };
+  const stillToPlay = (element) => !played(element) && !didNotPlay(element);
+  const typeOf = (element) => (elementTypes ? elementTypes[element] : undefined);
+  const label = (element) => {
+    const type = typeOf(element);
+    return type ? `${POSITION_NAMES[type]} ${element}` : `player ${element}`;
+  };
+
   const starters = picks
     .filter(p => p.position >= 1 && p.position <= 11)
     .sort((a, b) => a.position - b.position);
@@ -90,35 +443,160 @@ function simulateAutoSubs(picks, playerDataForGW) {
     .filter(p => p.position >= 12 && p.position <= 15)
     .sort((a, b) => a.position - b.position);
 
-  const usedBenchPlayers = new Set();
-  const effectiveLineup = [];
-
-  for (const starter of starters) {
-    const starterData = playerDataForGW[starter.element];
-    const starterMinutes = starterData ? starterData.minutes : 0;
-
-    if (starterMinutes > 0) {
-      effectiveLineup.push({ element: starter.element, multiplier: starter.multiplier });
-    } else {
-      let subbed = false;
-      for (const benchPlayer of bench) {
-        if (usedBenchPlayers.has(benchPlayer.element)) continue;
-        const benchData = playerDataForGW[benchPlayer.element];
-        const benchMinutes = benchData ? benchData.minutes : 0;
-        if (benchMinutes > 0) {
-          effectiveLineup.push({ element: benchPlayer.element, multiplier: starter.multiplier });
-          usedBenchPlayers.add(benchPlayer.element);
-          subbed = true;
-          break;
+  // slots[i] is the player occupying starter slot i after substitutions
+  const slots = starters.map(p => ({ element: p.element, multiplier: p.multiplier === 0 ? 1 : p.multiplier }));
+  const substitutions = [];
+  const skipped = [];
+
+  if (!benchBoost) {
+    const formation = {};
+    if (elementTypes) {
+      for (const starter of starters) {
+        const type = typeOf(starter.element);
+        formation[type] = (formation[type] || 0) + 1;
+      }
+    }
+
+    const openSlots = new Set(
+      starters.map((p, i) => (didNotPlay(p.element) ? i : -1)).filter(i => i >= 0)
+    );
+
+    for (const benchPlayer of bench) {
+      if (openSlots.size === 0) break;
+      const benchSlot = benchPlayer.position - 11;
+
+      if (didNotPlay(benchPlayer.element)) {
+        skipped.push({ element: benchPlayer.element, benchSlot, reason: 'did not play' });
+        continue;
+      }
+
+      const inType = typeOf(benchPlayer.element);
+      let blockedBy = null;
+      let target = -1;
+      for (const i of [...openSlots].sort((a, b) => a - b)) {
+        const outType = typeOf(starters[i].element);
+        if (elementTypes && (outType === GKP) !== (inType === GKP)) {
+          blockedBy = blockedBy || 'goalkeeper can only replace goalkeeper';
+          continue;
+        }
+        if (elementTypes) {
+          const next = { ...formation };
+          next[outType] -= 1;
+          next[inType] = (next[inType] || 0) + 1;
+          if (!isValidFormation(next)) {
+            blockedBy = 'would break formation minimums';
+            continue;
+          }
         }
+        target = i;
+        break;
+      }
+
+      if (target === -1) {
+        skipped.push({ element: benchPlayer.element, benchSlot, reason: blockedBy || 'no eligible starter to replace' });
+        continue;
+      }
+
+      const outElement = starters[target].element;
+      if (elementTypes) {
+        formation[typeOf(outElement)] -= 1;
+        formation[inType] = (formation[inType] || 0) + 1;
       }
-      if (!subbed) {
-        effectiveLineup.push({ element: starter.element, multiplier: starter.multiplier });
+      openSlots.delete(target);
+      if (stillToPlay(benchPlayer.element)) {
+        // Hold the place for them; the starter stays until their fixture is over
+        skipped.push({
+          element: benchPlayer.element,
+          benchSlot,
+          reason: `still to play; holds the place of ${label(outElement)}`
+        });
+        continue;
       }
+      slots[target] = { element: benchPlayer.element, multiplier: 1 };
+      substitutions.push({
+        elementOut: outElement,
+        elementIn: benchPlayer.element,
+        position: starters[target].position,
+        benchSlot,
+        reason: `${label(outElement)} did not play; replaced by ${label(benchPlayer.element)} from bench slot ${benchSlot}`
+      });
+    }
+  }
+
+  const lineup = benchBoost
+    ? [...slots, ...bench.map(p => ({ element: p.element, multiplier: p.multiplier === 0 ? 1 : p.multiplier }))]
+    : slots;
+
+  // Captaincy: vice-captain inherits the armband if the captain didn't play
+  const captainPick = picks.find(p => p.is_captain);
+  const vicePick = picks.find(p => p.is_vice_captain);
+  let captain = null;
+  if (captainPick) {
+    const captainMultiplier = captainPick.multiplier;
+    captain = { element: captainPick.element, multiplier: captainMultiplier, promotedFrom: null };
+
+    const viceEntry = vicePick ? lineup.find(p => p.element === vicePick.element) : null;
+    if (didNotPlay(captainPick.element) && viceEntry && played(vicePick.element)) {
+      // A substituted captain's slot already holds the sub at multiplier 1
+      const captainEntry = lineup.find(p => p.element === captainPick.element);
+      if (captainEntry) captainEntry.multiplier = 1;
+      viceEntry.multiplier = captainMultiplier;
+      captain = { element: vicePick.element, multiplier: captainMultiplier, promotedFrom: captainPick.element };
+    }
+  }
+
+  return { lineup, substitutions, skipped, captain };
+}
+
+/**
+ * Simulate auto-subs for a given set of picks in a GW and return the effective
+ * lineup as [{ element, multiplier }]. See resolveAutoSubs for the rules applied.
+ */
+function simulateAutoSubs(picks, playerDataForGW, options = {}) {
+  return resolveAutoSubs(picks, playerDataForGW, options).lineup;
+}
+
+/**
+ * Provisional bonus points for fixtures that have kicked off but whose bonus is not
+ * yet confirmed (fixture.finished === false). Players are ranked by BPS within each
+ * fixture: rank 1 → 3, rank 2 → 2, rank 3 → 1, where tied players share the higher
+ * rank (so a tie for first gives 3, 3, 1).
+ *
+ * Fixture membership comes from each live element's `explain` entries. BPS is the
+ * element's gameweek total, so in a double gameweek with both fixtures unconfirmed
+ * the figure is approximate.
+ *
+ * Returns playerId → provisional bonus (only players with a non-zero bonus).
+ */
+function computeProvisionalBonus(liveElements, fixtures) {
+  const pendingFixtures = new Set(
+    fixtures.filter(f => f.started && !f.finished).map(f => f.id)
+  );
+
+  const byFixture = {};
+  for (const el of liveElements) {
+    if (!el.stats || el.stats.minutes <= 0) continue;
+    for (const entry of el.explain || []) {
+      if (!pendingFixtures.has(entry.fixture)) continue;
+      if (!byFixture[entry.fixture]) byFixture[entry.fixture] = [];
+      byFixture[entry.fixture].push({ id: el.id, bps: el.stats.bps });
     }
   }
 
-  return effectiveLineup;
+  const bonus = {};
+  for (const players of Object.values(byFixture)) {
+    for (const player of players) {
+      const rank = 1 + players.filter(p => p.bps > player.bps).length;
+      const points = rank <= 3 ? 4 - rank : 0;
+      if (points > 0) bonus[player.id] = (bonus[player.id] || 0) + points;
+    }
+  }
+  return bonus;
 }
 
-module.exports = { FPL_HEADERS, sleep, fetchWithRetry, fetchPicksSafe, batchFetch, simulateAutoSubs };
+module.exports = {
+  FPL_HEADERS, GKP, DEF, MID, FWD, FORMATION_MINIMUMS,
+  sleep, defaultTransport, fetchWithRetry, fetchPicksSafe, createScheduler, defaultScheduler, parseManagerCap, parseLeagueType, seasonName,
+  createMemoryBackend, createFileBackend, createTieredBackend, setCacheBackend, createRequestCache,
+  isValidFormation, resolveAutoSubs, simulateAutoSubs, computeProvisionalBonus
+};
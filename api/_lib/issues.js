@@ -0,0 +1,97 @@
+// api/_lib/issues.js — reporting degraded data instead of silently falling back
+'use strict';
+
+// Why a manager's data for a gameweek is missing or partial
+const REASONS = {
+  NOT_ENTERED: 'not-entered',
+  FETCH_FAILED: 'fetch-failed',
+  MALFORMED: 'malformed',
+  LIVE_UNAVAILABLE: 'live-unavailable',
+  HISTORY_FAILED: 'history-failed'
+};
+
+const DEFAULT_MESSAGES = {
+  [REASONS.NOT_ENTERED]: 'No team for these gameweeks; the manager joined later.',
+  [REASONS.FETCH_FAILED]: 'Picks could not be fetched from FPL after retrying.',
+  [REASONS.MALFORMED]: 'FPL returned picks without a squad or entry history.',
+  [REASONS.LIVE_UNAVAILABLE]: 'Live player data could not be fetched; official points are shown.',
+  [REASONS.HISTORY_FAILED]: 'Season history could not be fetched from FPL after retrying.'
+};
+
+/**
+ * Collects warnings (expected gaps, e.g. a late joiner) and errors (failed or
+ * malformed fetches) for a response. Issues for the same manager and reason are
+ * merged into one entry listing every affected gameweek:
+ *   { managerId, managerName, teamName, reason, gameweeks, message }
+ * managerId is null for league-wide issues such as missing live data.
+ * @param {Array<{ entry, player_name, entry_name }>} [managers] league members, for names
+ */
+function createIssueLog(managers = []) {
+  const members = new Map(managers.map(m => [m.entry, m]));
+  const warnings = [];
+  const errors = [];
+  const byKey = new Map();
+
+  const add = (list, { managerId = null, gameweek = null, reason, message }) => {
+    const key = `${list === errors ? 'error' : 'warning'}:${managerId}:${reason}`;
+    let issue = byKey.get(key);
+    if (!issue) {
+      const member = members.get(managerId);
+      issue = {
+        managerId,
+        managerName: member ? member.player_name : null,
+        teamName: member ? member.entry_name : null,
+        reason,
+        gameweeks: [],
+        message: message || DEFAULT_MESSAGES[reason]
+      };
+      byKey.set(key, issue);
+      list.push(issue);
+    }
+    if (gameweek !== null && !issue.gameweeks.includes(gameweek)) {
+      issue.gameweeks.push(gameweek);
+      issue.gameweeks.sort((a, b) => a - b);
+    }
+  };
+
+  return {
+    warn: (issue) => add(warnings, issue),
+    error: (issue) => add(errors, issue),
+    /** { warnings, errors } for the response body, league-wide issues first, then by manager */
+    report: () => ({ warnings: warnings.sort(byManager), errors: errors.sort(byManager) })
+  };
+}
+
+// Fetches complete in any order; keep the response stable
+const byManager = (a, b) => (a.managerId ?? -1) - (b.managerId ?? -1) || a.reason.localeCompare(b.reason);
+
+const isWellFormedPicks = (data) =>
+  Boolean(data) && Array.isArray(data.picks) && typeof data.entry_history === 'object' && data.entry_history !== null;
+
+/**
+ * A manager's picks for one GW, or null when there are none to use. Why it is null
+ * is recorded in `issues` (when given): a 404 is a late joiner's warning, retries
+ * exhausted or a payload without picks / entry_history an error.
+ * @returns {Promise<object|null>}
+ */
+async function loadPicks(client, managerId, gameweek, { finished = false, issues = null } = {}) {
+  let data;
+  try {
+    data = await client.picks(managerId, gameweek, { finished });
+  } catch (error) {
+    if (issues) issues.error({ managerId, gameweek, reason: REASONS.FETCH_FAILED });
+    console.warn(`Picks for manager ${managerId} GW${gameweek} failed: ${error.message}`);
+    return null;
+  }
+  if (data === null) {
+    if (issues) issues.warn({ managerId, gameweek, reason: REASONS.NOT_ENTERED });
+    return null;
+  }
+  if (!isWellFormedPicks(data)) {
+    if (issues) issues.error({ managerId, gameweek, reason: REASONS.MALFORMED });
+    return null;
+  }
+  return data;
+}
+
+module.exports = { REASONS, createIssueLog, loadPicks };
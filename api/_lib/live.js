@@ -0,0 +1,241 @@
+// api/_lib/live.js — live scoring for the gameweek in progress
+'use strict';
+
+const { resolveAutoSubs, computeProvisionalBonus } = require('./fpl');
+const { REASONS, loadPicks } = require('./issues');
+
+/**
+ * Fetch live player data and fixture status for a gameweek.
+ *
+ * Returns { gameweek, available, elementTypes, livePlayerData, provisionalBonus }:
+ *  - livePlayerData[playerId] = { points, minutes, finished, goalsScored, assists,
+ *    bonus }, where `finished` is true once every fixture of the player's team this GW
+ *    has ended, i.e. a starter with 0 minutes can be projected as auto-subbed, and
+ *    `bonus` is confirmed bonus only;
+ *  - provisionalBonus[playerId] = bonus from BPS in unconfirmed fixtures.
+ * If the live data cannot be fetched `available` is false, callers fall back to
+ * the static entry_history points and the failure is logged to `issues` (when given).
+ */
+async function loadLiveGameweek(client, bootstrapData, gameweek, issues = null) {
+  const elementTypes = {};
+  const elementTeams = {};
+  for (const el of bootstrapData.elements) {
+    elementTypes[el.id] = el.element_type;
+    elementTeams[el.id] = el.team;
+  }
+
+  let livePlayerData = {};
+  let provisionalBonus = {};
+  let available = false;
+  try {
+    const [liveData, fixtures] = await Promise.all([
+      client.live(gameweek),
+      client.fixtures(gameweek)
+    ]);
+
+    const teamFixturesDone = {};
+    for (const fixture of fixtures) {
+      const done = Boolean(fixture.finished || fixture.finished_provisional);
+      for (const team of [fixture.team_h, fixture.team_a]) {
+        teamFixturesDone[team] = (teamFixturesDone[team] ?? true) && done;
+      }
+    }
+
+    livePlayerData = liveData.elements.reduce((acc, player) => {
+      acc[player.id] = {
+        points: player.stats.total_points,
+        minutes: player.stats.minutes,
+        finished: teamFixturesDone[elementTeams[player.id]] ?? true,
+        goalsScored: player.stats.goals_scored || 0,
+        assists: player.stats.assists || 0,
+        bonus: player.stats.bonus || 0
+      };
+      return acc;
+    }, {});
+    provisionalBonus = computeProvisionalBonus(liveData.elements, fixtures);
+    available = Object.keys(livePlayerData).length > 0;
+    console.log(`Live data fetched for ${Object.keys(livePlayerData).length} players`);
+  } catch (error) {
+    console.warn('Could not fetch live player data, will use static points:', error.message);
+    if (issues) issues.error({ gameweek, reason: REASONS.LIVE_UNAVAILABLE });
+  }
+
+  return { gameweek, available, elementTypes, livePlayerData, provisionalBonus };
+}
+
+/**
+ * Score one manager's picks for the live gameweek.
+ *
+ * Confirmed: picks as they stand. Projected: auto-subs and vice-captain promotion for
+ * starters whose fixtures are over without them playing, plus provisional bonus.
+ * Without live data both fall back to entry_history.points.
+ *
+ * Returns { confirmedGwPoints, projectedGwPoints, provisionalBonus, substitutions, captain }.
+ */
+function scoreLivePicks(picksData, liveGameweek) {
+  const staticGwPoints = picksData.entry_history ? picksData.entry_history.points : 0;
+  if (!liveGameweek.available || !picksData.picks) {
+    return {
+      confirmedGwPoints: staticGwPoints,
+      projectedGwPoints: staticGwPoints,
+      provisionalBonus: 0,
+      substitutions: [],
+      captain: null
+    };
+  }
+
+  const { elementTypes, livePlayerData, provisionalBonus } = liveGameweek;
+
+  // Sum points × multiplier for a lineup, optionally adding provisional bonus
+  const scoreLineup = (lineup, withBonus) => lineup.reduce((sum, pick) => {
+    const pData = livePlayerData[pick.element];
+    const points = (pData ? pData.points : 0) + (withBonus ? (provisionalBonus[pick.element] || 0) : 0);
+    return sum + points * pick.multiplier;
+  }, 0);
+
+  const resolved = resolveAutoSubs(picksData.picks, livePlayerData, {
+    elementTypes,
+    activeChip: picksData.active_chip
+  });
+  const projectedGwPoints = scoreLineup(resolved.lineup, true);
+
+  return {
+    confirmedGwPoints: scoreLineup(picksData.picks, false),
+    projectedGwPoints,
+    provisionalBonus: projectedGwPoints - scoreLineup(resolved.lineup, false),
+    substitutions: resolved.substitutions,
+    captain: resolved.captain
+  };
+}
+
+/**
+ * Live standings for a league: every manager scored with scoreLivePicks, ranked by
+ * projected total and compared with their position at the end of last gameweek.
+ * A manager whose picks cannot be used is carried on their standings total, flagged
+ * `degraded: true` and logged to `issues` with the reason.
+ * Managers are fetched in parallel; the client's scheduler paces the requests.
+ *
+ * Returns { results, picksByManager }, with picksByManager[managerId] the current-GW
+ * picks response for the managers that could be scored.
+ */
+async function buildLiveStandings(client, bootstrapData, leagueData, liveGameweek, issues = null) {
+  // Current-GW picks are cached for a minute at most; last GW's are immutable once
+  // it has finished.
+  const currentGameweek = liveGameweek.gameweek;
+  const previousEvent = bootstrapData.events.find(event => event.id === currentGameweek - 1);
+  const previousGwFinished = Boolean(previousEvent && previousEvent.finished);
+  const picksByManager = {};
+
+  const scoreManager = async (manager) => {
+    const managerId = manager.entry;
+    console.log(`Processing manager: ${manager.player_name} (ID: ${managerId})`);
+
+    try {
+      // A failed previous-GW fetch is not fatal: last GW's total is derived instead,
+      // and the failure is logged against that gameweek
+      const previousGameweek = currentGameweek - 1;
+      const [currentGwData, previousGwData] = await Promise.all([
+        loadPicks(client, managerId, currentGameweek, { issues }),
+        currentGameweek > 1
+          ? client.picks(managerId, previousGameweek, { finished: previousGwFinished }).catch(error => {
+            if (issues) issues.error({ managerId, gameweek: previousGameweek, reason: REASONS.FETCH_FAILED });
+            console.warn(`Picks for manager ${managerId} GW${previousGameweek} failed: ${error.message}`);
+            return null;
+          })
+          : null
+      ]);
+      if (!currentGwData) throw new Error(`No picks for gameweek ${currentGameweek}`);
+      picksByManager[managerId] = currentGwData;
+
+      let lastGameweekTotalPoints = 0;
+      if (currentGameweek > 1) {
+        if (previousGwData) {
+          if (previousGwData.entry_history) {
+            lastGameweekTotalPoints = previousGwData.entry_history.total_points;
+          }
+        } else {
+          console.warn(`Could not fetch previous gameweek data for manager ${managerId}`);
+          const currentGwPoints = currentGwData.entry_history ? currentGwData.entry_history.points : 0;
+          const currentTotal = currentGwData.entry_history ? currentGwData.entry_history.total_points : manager.total;
+          lastGameweekTotalPoints = currentTotal - currentGwPoints;
+        }
+      }
+
+      const staticGwPoints = currentGwData.entry_history ? currentGwData.entry_history.points : 0;
+      const staticTotalPoints = currentGwData.entry_history ? currentGwData.entry_history.total_points : manager.total;
+
+      const live = scoreLivePicks(currentGwData, liveGameweek);
+      const { confirmedGwPoints, projectedGwPoints } = live;
+
+      const confirmedPoints = staticTotalPoints - staticGwPoints + confirmedGwPoints;
+      const projectedPoints = staticTotalPoints - staticGwPoints + projectedGwPoints;
+
+      return {
+        managerId: managerId,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        activeChip: currentGwData.active_chip || null,
+        livePoints: projectedPoints,
+        pointsThisWeek: projectedGwPoints,
+        confirmedPoints,
+        confirmedGwPoints,
+        projectedPoints,
+        projectedGwPoints,
+        provisionalBonus: live.provisionalBonus,
+        projectedAutoSubs: live.substitutions,
+        projectedCaptain: live.captain,
+        lastGameweekTotalPoints: lastGameweekTotalPoints,
+        lastWeekPoints: manager.total,
+        degraded: false
+      };
+    } catch (error) {
+      console.error(`Error fetching data for manager ${managerId}:`, error);
+      return {
+        managerId: managerId,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        activeChip: null,
+        livePoints: manager.total,
+        pointsThisWeek: 0,
+        confirmedPoints: manager.total,
+        confirmedGwPoints: 0,
+        projectedPoints: manager.total,
+        projectedGwPoints: 0,
+        provisionalBonus: 0,
+        projectedAutoSubs: [],
+        projectedCaptain: null,
+        lastGameweekTotalPoints: manager.total,
+        lastWeekPoints: manager.total,
+        degraded: true
+      };
+    }
+  };
+
+  const liveStandings = await Promise.all(leagueData.managers.map(scoreManager));
+
+  // Positions as of last gameweek, and the change since
+  const lastGameweekStandings = [...liveStandings].sort((a, b) => b.lastGameweekTotalPoints - a.lastGameweekTotalPoints);
+  const lastGameweekPositions = new Map();
+  lastGameweekStandings.forEach((manager, index) => {
+    lastGameweekPositions.set(manager.managerId, index + 1);
+  });
+
+  liveStandings.sort((a, b) => b.livePoints - a.livePoints);
+
+  const results = liveStandings.map((manager, index) => {
+    const currentPosition = index + 1;
+    const lastGameweekPosition = lastGameweekPositions.get(manager.managerId) || currentPosition;
+    const positionChange = lastGameweekPosition - currentPosition;
+    return {
+      ...manager,
+      currentPosition,
+      lastGameweekPosition,
+      positionChange,
+      changeDirection: positionChange > 0 ? 'up' : positionChange < 0 ? 'down' : 'same'
+    };
+  });
+
+  return { results, picksByManager };
+}
+
+module.exports = { loadLiveGameweek, scoreLivePicks, buildLiveStandings };
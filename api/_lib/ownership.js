@@ -0,0 +1,145 @@
+// api/_lib/ownership.js — league ownership, effective ownership and differentials
+'use strict';
+
+const { GKP, DEF, MID, FWD, FORMATION_MINIMUMS, resolveAutoSubs } = require('./fpl');
+
+// Players per element_type in a 15-man squad
+const SQUAD_QUOTAS = { [GKP]: 2, [DEF]: 5, [MID]: 5, [FWD]: 3 };
+
+/**
+ * Ownership of every player across a league's picks for one GW. Percentages are of
+ * the managers who had a team that GW. Effective ownership is the sum of pick
+ * multipliers as a percentage (a captain counts 200, a benched player 0).
+ * @param {Array<object|null>} picksDatas one picks response per manager
+ * @returns {{ managerCount: number, players: Map<number, { owners, captains, multipliers, ownership, captaincy, effectiveOwnership }> }}
+ */
+function ownershipStats(picksDatas) {
+  const teams = picksDatas.filter(p => p && Array.isArray(p.picks));
+  const players = new Map();
+  for (const { picks } of teams) {
+    for (const pick of picks) {
+      const stats = players.get(pick.element) || { owners: 0, captains: 0, multipliers: 0 };
+      stats.owners += 1;
+      if (pick.is_captain) stats.captains += 1;
+      stats.multipliers += pick.multiplier;
+      players.set(pick.element, stats);
+    }
+  }
+
+  const percent = (n) => teams.length > 0 ? Math.round((n / teams.length) * 1000) / 10 : 0;
+  for (const stats of players.values()) {
+    stats.ownership = percent(stats.owners);
+    stats.captaincy = percent(stats.captains);
+    stats.effectiveOwnership = percent(stats.multipliers);
+  }
+  return { managerCount: teams.length, players };
+}
+
+/**
+ * Points a manager scored in one GW (after auto-subs, with multipliers) from players
+ * owned by fewer than `threshold`% of the league.
+ * @returns {{ points: number, differentialPoints: number }|null} null without picks
+ */
+function differentialPoints(picksData, playerDataForGW, ownership, { threshold, elementTypes }) {
+  if (!picksData || !Array.isArray(picksData.picks)) return null;
+  const lineup = resolveAutoSubs(picksData.picks, playerDataForGW, {
+    elementTypes,
+    activeChip: picksData.active_chip
+  }).lineup;
+
+  let points = 0;
+  let differential = 0;
+  for (const pick of lineup) {
+    const data = playerDataForGW[pick.element];
+    const scored = (data ? data.points : 0) * pick.multiplier;
+    points += scored;
+    const stats = ownership.players.get(pick.element);
+    if (stats && stats.ownership < threshold) differential += scored;
+  }
+  return { points, differentialPoints: differential };
+}
+
+/**
+ * The players that hurt a manager most this GW: those the rest of the league is more
+ * exposed to than they are. `exposure` is the rest of the league's effective ownership
+ * (as a multiplier, excluding this manager) minus this manager's own multiplier, and
+ * `pointsAgainst` the live points that gap has cost so far. Ordered by points against,
+ * then exposure, so before kick-off the list reads as "who to fear".
+ * @returns {Array<{ element, exposure, points, pointsAgainst }>}
+ */
+function rankThreats(picksData, ownership, playerDataForGW, { limit = 5 } = {}) {
+  const mine = new Map();
+  if (picksData && Array.isArray(picksData.picks)) {
+    for (const pick of picksData.picks) mine.set(pick.element, pick.multiplier);
+  }
+  const others = ownership.managerCount - (mine.size > 0 ? 1 : 0);
+  if (others <= 0) return [];
+
+  const threats = [];
+  for (const [element, stats] of ownership.players) {
+    const own = mine.get(element) || 0;
+    const exposure = (stats.multipliers - own) / others - own;
+    if (exposure <= 0) continue;
+    const data = playerDataForGW[element];
+    const points = data ? data.points : 0;
+    threats.push({
+      element,
+      exposure: Math.round(exposure * 100) / 100,
+      points,
+      pointsAgainst: Math.round(exposure * points * 10) / 10
+    });
+  }
+  return threats
+    .sort((a, b) => b.pointsAgainst - a.pointsAgainst || b.exposure - a.exposure || a.element - b.element)
+    .slice(0, limit);
+}
+
+/**
+ * The league's template squad for one GW as picks (positions 1–15), so it scores like
+ * any manager's team: the most-owned players filling the squad quotas (2 GKP, 5 DEF,
+ * 5 MID, 3 FWD). The XI is the most-owned goalkeeper plus the formation minimums, then
+ * the most-owned of the remaining outfielders; the most-captained starters wear the
+ * armbands. Ties go to the more captained, then the lower element id. A position the
+ * league owns too few players in is left short.
+ * @param {Array<object|null>} picksDatas one picks response per manager
+ * @param {Object<number, number>} elementTypes element id → element_type
+ * @returns {Array<{ element, position, multiplier, is_captain, is_vice_captain }>}
+ */
+function templateSquad(picksDatas, elementTypes) {
+  const ranked = [...ownershipStats(picksDatas).players]
+    .map(([element, stats]) => ({ element, type: elementTypes[element], ...stats }))
+    .filter(p => SQUAD_QUOTAS[p.type])
+    .sort((a, b) => b.owners - a.owners || b.captains - a.captains || a.element - b.element);
+
+  const squad = [];
+  const taken = {};
+  for (const player of ranked) {
+    if ((taken[player.type] || 0) >= SQUAD_QUOTAS[player.type]) continue;
+    taken[player.type] = (taken[player.type] || 0) + 1;
+    squad.push(player);
+  }
+
+  const starters = new Set();
+  for (const type of [GKP, DEF, MID, FWD]) {
+    squad.filter(p => p.type === type).slice(0, FORMATION_MINIMUMS[type]).forEach(p => starters.add(p));
+  }
+  for (const player of squad) {
+    if (starters.size >= 11) break;
+    if (player.type !== GKP) starters.add(player);
+  }
+
+  // XI in position order, then the bench: spare goalkeeper first, outfielders by ownership
+  const xi = [...starters].sort((a, b) => a.type - b.type);
+  const bench = squad.filter(p => !starters.has(p)).sort((a, b) => (b.type === GKP) - (a.type === GKP));
+  const [captain, vice] = [...xi].sort((a, b) => b.captains - a.captains);
+
+  return [...xi, ...bench].map((player, i) => ({
+    element: player.element,
+    position: i < xi.length ? i + 1 : 12 + i - xi.length,
+    multiplier: !starters.has(player) ? 0 : player === captain ? 2 : 1,
+    is_captain: player === captain,
+    is_vice_captain: player === vice
+  }));
+}
+
+module.exports = { ownershipStats, differentialPoints, rankThreats, templateSquad };
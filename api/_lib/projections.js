@@ -0,0 +1,169 @@
+// api/_lib/projections.js — forward projections and Monte Carlo league finishes
+'use strict';
+
+// Scale on a player's points per fixture by FPL's difficulty rating (1 easiest – 5 hardest)
+const DIFFICULTY_FACTORS = { 1: 1.25, 2: 1.1, 3: 1, 4: 0.85, 5: 0.7 };
+const DEFAULT_DIFFICULTY = 3;
+
+// FPL points are over-dispersed: a player's variance per fixture is taken as this
+// multiple of their expected points (a Poisson variable would be 1×)
+const VARIANCE_PER_POINT = 3;
+
+// Recent form and season average weigh equally in a player's points per fixture
+const FORM_WEIGHT = 0.5;
+
+/**
+ * Chance a player features, 0–1, from FPL's flags: `chance_of_playing_next_round`
+ * when FPL gives one, otherwise available ('a') plays and anything else (injured,
+ * suspended, unavailable, on loan) does not. The flag is assumed to hold for the whole
+ * horizon, which is conservative for short injuries.
+ */
+function availability(element) {
+  const chance = element.chance_of_playing_next_round;
+  if (chance !== null && chance !== undefined) return chance / 100;
+  return !element.status || element.status === 'a' ? 1 : 0;
+}
+
+/** Expected points in a fixture of average difficulty, before availability. */
+function basePoints(element) {
+  const form = parseFloat(element.form) || 0;
+  const perGame = parseFloat(element.points_per_game) || 0;
+  return FORM_WEIGHT * form + (1 - FORM_WEIGHT) * perGame;
+}
+
+/**
+ * Each team's fixtures in the given GWs, from its own side of the difficulty ratings:
+ * teamId → [{ gw, opponent, home, difficulty }]. A team with no fixture in a GW (a
+ * blank) is simply missing it; a double GW has two entries.
+ */
+function fixturesByTeam(fixtures, gameweeks) {
+  const horizon = new Set(gameweeks);
+  const byTeam = {};
+  const add = (team, entry) => {
+    if (!byTeam[team]) byTeam[team] = [];
+    byTeam[team].push(entry);
+  };
+  for (const fixture of fixtures) {
+    if (!horizon.has(fixture.event)) continue;
+    add(fixture.team_h, {
+      gw: fixture.event,
+      opponent: fixture.team_a,
+      home: true,
+      difficulty: fixture.team_h_difficulty || DEFAULT_DIFFICULTY
+    });
+    add(fixture.team_a, {
+      gw: fixture.event,
+      opponent: fixture.team_h,
+      home: false,
+      difficulty: fixture.team_a_difficulty || DEFAULT_DIFFICULTY
+    });
+  }
+  for (const list of Object.values(byTeam)) list.sort((a, b) => a.gw - b.gw);
+  return byTeam;
+}
+
+/**
+ * A player's projection over the horizon: { expected, variance, fixtures }, summing
+ * their fixtures scaled by difficulty and availability.
+ * @param {object} element a bootstrap `elements` entry
+ * @param {object} teamFixtures from fixturesByTeam
+ */
+function projectPlayer(element, teamFixtures) {
+  const perFixture = basePoints(element) * availability(element);
+  const fixtures = (teamFixtures[element.team] || []).map(f => ({
+    ...f,
+    expected: perFixture * (DIFFICULTY_FACTORS[f.difficulty] || 1)
+  }));
+  const expected = fixtures.reduce((sum, f) => sum + f.expected, 0);
+  return { expected, variance: VARIANCE_PER_POINT * expected, fixtures };
+}
+
+/**
+ * The squad a manager is projected to field: their current picks with chips undone —
+ * a Triple Captain counts double and a Bench Boost bench sits out again.
+ * @returns {Array<{ element, multiplier }>} the XI (multiplier > 0)
+ */
+function projectedXI(picks) {
+  return picks
+    .filter(p => p.position <= 11)
+    .map(p => ({ element: p.element, multiplier: p.multiplier === 3 ? 2 : p.multiplier }))
+    .filter(p => p.multiplier > 0);
+}
+
+/** Seeded PRNG (mulberry32), so a simulation can be repeated exactly. */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box–Muller)
+const standardNormal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Monte Carlo league finishes. Each run draws every player's horizon points once, as
+ * a normal with their projected mean and variance, so managers who own the same
+ * player rise and fall together. Managers are then ranked on current points plus
+ * their XI's draws; ties keep the current standings order.
+ *
+ * @param {Array<{ managerId, currentPoints, xi }>} managers in current standings order
+ * @param {Map<number, { expected, variance }>} players by element
+ * @param {{ simulations: number, random: () => number }} options
+ * @returns {Array<{ managerId, expectedPoints, expectedPosition, positions }>} with
+ *   positions[i] the probability of finishing in place i + 1
+ */
+function simulateFinishes(managers, players, { simulations, random }) {
+  const elements = [...players.keys()];
+  const sd = elements.map(el => Math.sqrt(players.get(el).variance));
+  const mean = elements.map(el => players.get(el).expected);
+  const indexOf = new Map(elements.map((el, i) => [el, i]));
+  const lineups = managers.map(m => m.xi
+    .filter(p => indexOf.has(p.element))
+    .map(p => [indexOf.get(p.element), p.multiplier]));
+
+  const counts = managers.map(() => new Array(managers.length).fill(0));
+  const pointSums = new Array(managers.length).fill(0);
+  const draws = new Float64Array(elements.length);
+  const totals = new Float64Array(managers.length);
+  const order = managers.map((_, i) => i);
+
+  for (let run = 0; run < simulations; run++) {
+    for (let i = 0; i < elements.length; i++) draws[i] = mean[i] + sd[i] * standardNormal(random);
+    for (let m = 0; m < managers.length; m++) {
+      let total = managers[m].currentPoints;
+      for (const [i, multiplier] of lineups[m]) total += draws[i] * multiplier;
+      totals[m] = total;
+      pointSums[m] += total;
+    }
+    order.sort((a, b) => totals[b] - totals[a] || a - b);
+    order.forEach((m, position) => { counts[m][position] += 1; });
+  }
+
+  return managers.map((manager, m) => {
+    const positions = counts[m].map(count => count / simulations);
+    return {
+      managerId: manager.managerId,
+      expectedPoints: pointSums[m] / simulations,
+      expectedPosition: positions.reduce((sum, p, i) => sum + p * (i + 1), 0),
+      positions
+    };
+  });
+}
+
+module.exports = {
+  DIFFICULTY_FACTORS,
+  availability,
+  fixturesByTeam,
+  projectPlayer,
+  projectedXI,
+  createRandom,
+  simulateFinishes
+};
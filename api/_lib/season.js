@@ -0,0 +1,72 @@
+// api/_lib/season.js — shared loading of finished-gameweek data for a league
+// Requests are issued all at once; the client's scheduler paces them.
+'use strict';
+
+const { loadPicks } = require('./issues');
+
+/**
+ * Live player data for finished GWs. Finished-GW data never changes, so it is served
+ * from the cache.
+ * @returns {Promise<object>} gwPlayerData[gw][playerId] = { points, minutes }
+ */
+async function loadFinishedLiveData(client, gameweeks) {
+  const responses = await Promise.all(gameweeks.map(gw =>
+    client.live(gw, { finished: true })
+      .then(data => ({ gw, data }))
+  ));
+  const gwPlayerData = {};
+  for (const { gw, data } of responses) {
+    gwPlayerData[gw] = {};
+    for (const el of data.elements) {
+      gwPlayerData[gw][el.id] = {
+        points: el.stats.total_points,
+        minutes: el.stats.minutes
+      };
+    }
+  }
+  return gwPlayerData;
+}
+
+/**
+ * Picks for every manager × finished GW. Why a GW came back null (no team yet, a
+ * failed fetch or a malformed payload) is logged to `issues` when given.
+ * @param {number[]} managerIds
+ * @returns {Promise<object>} picksByManager[managerId][gw] = picks response, or null
+ *   if there are no usable picks for that GW
+ */
+async function loadFinishedPicks(client, managerIds, gameweeks, { issues = null } = {}) {
+  const requests = [];
+  for (const managerId of managerIds) {
+    for (const gw of gameweeks) {
+      requests.push(
+        loadPicks(client, managerId, gw, { finished: true, issues })
+          .then(data => ({ managerId, gw, data }))
+      );
+    }
+  }
+  const picksByManager = {};
+  for (const managerId of managerIds) picksByManager[managerId] = {};
+  for (const { managerId, gw, data } of await Promise.all(requests)) {
+    picksByManager[managerId][gw] = data;
+  }
+  return picksByManager;
+}
+
+/**
+ * Every manager's picks for a single GW, e.g. the one in progress (only cached once
+ * `finished`), with gaps logged to `issues` as in loadFinishedPicks.
+ * @returns {Promise<object>} picksByManager[managerId] = picks response, or null
+ */
+async function loadGameweekPicks(client, managerIds, gw, { finished = false, issues = null } = {}) {
+  const responses = await Promise.all(managerIds.map(managerId =>
+    loadPicks(client, managerId, gw, { finished, issues })
+      .then(data => ({ managerId, data }))
+  ));
+  const picksByManager = {};
+  for (const { managerId, data } of responses) {
+    picksByManager[managerId] = data;
+  }
+  return picksByManager;
+}
+
+module.exports = { loadFinishedLiveData, loadFinishedPicks, loadGameweekPicks };
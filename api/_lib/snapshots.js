@@ -0,0 +1,384 @@
+// api/_lib/snapshots.js — precomputed season data, stored per league as versioned JSON
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { simulateAutoSubs, seasonName } = require('./fpl');
+const { analyseBench, managementEfficiency } = require('./bench');
+const { loadFinishedLiveData } = require('./season');
+const { REASONS, createIssueLog, loadPicks } = require('./issues');
+
+// Bumped whenever the stored shape changes; snapshots of another schema are rebuilt
+const SNAPSHOT_SCHEMA = 1;
+
+// --- Stores ---
+//
+// A store is any object with async latest(key) → snapshot | undefined and
+// async save(key, snapshot) → whether it was saved. Saves never overwrite: each
+// snapshot carries its own version, so a bad build is rolled back by deleting the
+// newest version, and of two requests saving the same version only the first one
+// lands. A blob store (S3, Vercel Blob, ...) plugs in by implementing the same two
+// methods.
+//
+// A store that does not outlive the process or instance — the default without
+// FPL_SNAPSHOT_DIR, as serverless /tmp is per instance — is marked persistent: false.
+// Snapshots there are only a per-instance speed-up, and nothing that must be
+// remembered between runs (the digest's last sent GW) can be kept in it.
+
+/**
+ * In-memory store. Snapshots round-trip through JSON as they would on disk.
+ */
+function createMemorySnapshotStore() {
+  const versions = new Map();
+  return {
+    name: 'memory',
+    async latest(key) {
+      const list = versions.get(key);
+      return list ? JSON.parse(list[list.length - 1].json) : undefined;
+    },
+    async save(key, snapshot) {
+      if (!versions.has(key)) versions.set(key, []);
+      const list = versions.get(key);
+      if (list.some(v => v.version === snapshot.version)) return false;
+      list.push({ version: snapshot.version, json: JSON.stringify(snapshot) });
+      return true;
+    }
+  };
+}
+
+/**
+ * Filesystem store: `<dir>/<key>/v<version>.json`. Defaults to FPL_SNAPSHOT_DIR or the
+ * OS temp dir. I/O errors are logged and treated as "no snapshot" (or not saved), so
+ * the season is computed from scratch rather than failing the request.
+ */
+function createFileSnapshotStore(dir = process.env.FPL_SNAPSHOT_DIR || path.join(os.tmpdir(), 'roboticsfpl-snapshots')) {
+  const dirFor = (key) => path.join(dir, key.replace(/[^\w.-]/g, '_'));
+  return {
+    name: 'filesystem',
+    async latest(key) {
+      try {
+        const versions = (await fs.promises.readdir(dirFor(key)))
+          .map(file => file.match(/^v(\d+)\.json$/))
+          .filter(Boolean)
+          .map(match => Number(match[1]));
+        if (versions.length === 0) return undefined;
+        const file = path.join(dirFor(key), `v${Math.max(...versions)}.json`);
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`  Snapshot read failed for ${key}: ${error.message}`);
+        return undefined;
+      }
+    },
+    async save(key, snapshot) {
+      try {
+        await fs.promises.mkdir(dirFor(key), { recursive: true });
+        const file = path.join(dirFor(key), `v${snapshot.version}.json`);
+        const tmp = `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+        // Write then link, so a reader never sees a half-written snapshot and a
+        // version another request has already saved is left as it is
+        await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+        try {
+          await fs.promises.link(tmp, file);
+          return true;
+        } finally {
+          await fs.promises.unlink(tmp).catch(() => {});
+        }
+      } catch (error) {
+        if (error.code !== 'EEXIST') console.warn(`  Snapshot write failed for ${key}: ${error.message}`);
+        return false;
+      }
+    }
+  };
+}
+
+let defaultStore = process.env.FPL_SNAPSHOT_DIR
+  ? createFileSnapshotStore(process.env.FPL_SNAPSHOT_DIR)
+  : { ...createFileSnapshotStore(path.join(os.tmpdir(), 'roboticsfpl-snapshots')), persistent: false };
+
+/**
+ * Replace the process-wide snapshot store (e.g. with a blob storage adapter).
+ */
+function setSnapshotStore(store) {
+  defaultStore = store;
+}
+
+/** The process-wide snapshot store, for clients that are not given one. */
+function getSnapshotStore() {
+  return defaultStore;
+}
+
+/** Whether what is saved to `store` is kept; a store says otherwise with persistent: false. */
+const isPersistent = (store) => store.persistent !== false;
+
+// --- Season state ---
+
+// Per season: after FPL's summer reset GW1 means a new gameweek, not one already folded in
+const snapshotKey = ({ leagueId, leagueType, maxManagers }, season) =>
+  `season-${season}-${leagueType}-${leagueId}-${maxManagers === Infinity ? 'all' : maxManagers}`;
+
+// One manager's season so far. `gameweeks` lists the finished GWs already folded in,
+// including those they had no team for (`notEntered`); a failed fetch is left out and
+// retried on the next update.
+const emptyManagerState = () => ({
+  gameweeks: [],
+  notEntered: [],
+  autoSubPoints: 0,
+  transferCost: 0,
+  players: {},
+  bench: []
+});
+
+/**
+ * Fold one manager's picks for one finished GW into their season state: auto-sub
+ * points (FPL's actual automatic_subs), transfer hits, bench management and the
+ * points each player contributed (× multiplier, after auto-subs).
+ */
+function addGameweek(state, gw, picksData, gwData, elementTypes) {
+  for (const sub of picksData.automatic_subs || []) {
+    const playerIn = gwData[sub.element_in];
+    if (playerIn) state.autoSubPoints += playerIn.points;
+  }
+  state.transferCost += picksData.entry_history.event_transfers_cost;
+
+  state.bench.push({ gw, ...analyseBench(picksData, gwData, { elementTypes }) });
+  state.bench.sort((a, b) => a.gw - b.gw);
+
+  // Bench Boost: all 15 players contribute; otherwise the XI after auto-subs
+  const effectivePicks = simulateAutoSubs(picksData.picks, gwData, {
+    elementTypes,
+    activeChip: picksData.active_chip
+  });
+  for (const pick of effectivePicks) {
+    if (pick.multiplier === 0) continue;
+    const pData = gwData[pick.element];
+    const contributed = (pData ? pData.points : 0) * pick.multiplier;
+    if (contributed <= 0) continue;
+    state.players[pick.element] = (state.players[pick.element] || 0) + contributed;
+  }
+}
+
+/**
+ * One manager's season state, as a snapshot holds it, from picks the caller already
+ * has: for views of a single manager that should not build the whole league's.
+ * @param {object} picksByGW gw → picks response, or null where there are none
+ * @param {object} gwPlayerData gw → element → { points, minutes }
+ * @param {number[]} gameweeks the finished GWs to fold in
+ */
+function managerSeasonState(picksByGW, gwPlayerData, gameweeks, elementTypes) {
+  const state = emptyManagerState();
+  for (const gw of gameweeks) {
+    if (!picksByGW[gw]) continue;
+    addGameweek(state, gw, picksByGW[gw], gwPlayerData[gw] || {}, elementTypes);
+    state.gameweeks.push(gw);
+  }
+  return state;
+}
+
+/**
+ * Bring a league's season snapshot up to date with the finished GWs: only the GWs a
+ * manager is missing are fetched and folded in, so after the first build each update
+ * costs one GW of picks per manager. A new version is saved whenever anything was
+ * added; a snapshot that is already current is returned as it is.
+ *
+ * Returns { snapshot, updatedGameweeks, issues }, with snapshot.managers[managerId]
+ * the season state of every manager ever seen in the league (see emptyManagerState)
+ * and `issues` the warnings and errors for the league's current managers.
+ * @param {{ leagueId, leagueType, maxManagers }} league
+ * @param {{ bootstrapData, leagueData }} data from the caller's Step 1
+ */
+async function updateSeasonSnapshot(client, league, { bootstrapData, leagueData }) {
+  const key = snapshotKey(league, seasonName(bootstrapData));
+  const stored = await client.snapshots.latest(key);
+  const previous = stored && stored.schema === SNAPSHOT_SCHEMA ? stored : null;
+  const managers = previous ? previous.managers : {};
+
+  const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+  const elementTypes = {};
+  for (const el of bootstrapData.elements) elementTypes[el.id] = el.element_type;
+
+  const pending = [];
+  for (const { entry } of leagueData.managers) {
+    if (!managers[entry]) managers[entry] = emptyManagerState();
+    for (const gw of finishedGWs) {
+      if (!managers[entry].gameweeks.includes(gw)) pending.push({ managerId: entry, gw });
+    }
+  }
+
+  const issues = createIssueLog(leagueData.managers);
+  const updated = new Set();
+  if (pending.length > 0) {
+    const pendingGWs = [...new Set(pending.map(p => p.gw))].sort((a, b) => a - b);
+    console.log(`  Snapshot ${key}: adding ${pending.length} manager GWs (GW${pendingGWs.join(', GW')})`);
+    const gwPlayerData = await loadFinishedLiveData(client, pendingGWs);
+    const loaded = await Promise.all(pending.map(({ managerId, gw }) =>
+      loadPicks(client, managerId, gw, { finished: true, issues })
+        .then(data => ({ managerId, gw, data }))
+    ));
+
+    const failed = new Set(issues.report().errors.flatMap(e => e.gameweeks.map(gw => `${e.managerId}:${gw}`)));
+    for (const { managerId, gw, data } of loaded) {
+      if (failed.has(`${managerId}:${gw}`)) continue;
+      const state = managers[managerId];
+      if (data) {
+        addGameweek(state, gw, data, gwPlayerData[gw] || {}, elementTypes);
+      } else {
+        state.notEntered.push(gw);
+      }
+      state.gameweeks.push(gw);
+      updated.add(gw);
+    }
+  }
+
+  // GWs a manager had no team for stay warnings for as long as they are in the league
+  for (const { entry } of leagueData.managers) {
+    for (const gw of managers[entry].notEntered) {
+      issues.warn({ managerId: entry, gameweek: gw, reason: REASONS.NOT_ENTERED });
+    }
+  }
+
+  if (updated.size === 0 && previous) {
+    return { snapshot: previous, updatedGameweeks: [], issues };
+  }
+
+  const snapshot = {
+    schema: SNAPSHOT_SCHEMA,
+    version: previous ? previous.version + 1 : 1,
+    key,
+    season: seasonName(bootstrapData),
+    leagueId: String(league.leagueId),
+    leagueType: league.leagueType,
+    lastFinishedGW: finishedGWs.length > 0 ? Math.max(...finishedGWs) : 0,
+    createdAt: new Date().toISOString(),
+    managers
+  };
+  // A request updating the same league at the same time got there first with what
+  // are the same gameweeks; this one's copy is served without being saved
+  if (!await client.snapshots.save(key, snapshot)) {
+    console.log(`  Snapshot ${key} v${snapshot.version} was already saved by another request`);
+  }
+  return { snapshot, updatedGameweeks: [...updated].sort((a, b) => a - b), issues };
+}
+
+/**
+ * The season tables served by get-season-data, from a season snapshot: auto-sub
+ * points, transfer costs, bench efficiency and player contributions for each of
+ * `members` (league standings rows), each table in its display order.
+ * @returns {{ autoSubs, transferCosts, benchEfficiency, playerContributions: { managers } }}
+ */
+function summariseSeason(snapshot, members, bootstrapData) {
+  // Build player info map: id → { name, position (element_type) }
+  const playerInfo = {};
+  for (const el of bootstrapData.elements) {
+    playerInfo[el.id] = { name: el.web_name, position: el.element_type };
+  }
+
+  const managers = members.map(m => ({
+    managerId: m.entry,
+    managerName: m.player_name,
+    teamName: m.entry_name,
+    totalPoints: m.total
+  }));
+  const stateOf = (managerId) => snapshot.managers[managerId];
+
+  // Auto-subs: sorted descending by totalAutoSubPoints
+  const autoSubs = managers
+    .map(m => ({
+      managerId: m.managerId,
+      managerName: m.managerName,
+      teamName: m.teamName,
+      totalAutoSubPoints: stateOf(m.managerId).autoSubPoints
+    }))
+    .sort((a, b) => b.totalAutoSubPoints - a.totalAutoSubPoints);
+
+  // Transfer costs: sorted descending by totalTransferCost (most costly first)
+  const transferCosts = managers
+    .map(m => ({
+      managerId: m.managerId,
+      managerName: m.managerName,
+      teamName: m.teamName,
+      totalTransferCost: stateOf(m.managerId).transferCost
+    }))
+    .sort((a, b) => b.totalTransferCost - a.totalTransferCost);
+
+  // Bench efficiency: sorted descending by season efficiency (best managed first)
+  const sumOf = (rows, key) => rows.reduce((sum, row) => sum + row[key], 0);
+  const benchEfficiency = managers
+    .map(m => {
+      const gameweeks = stateOf(m.managerId).bench;
+      const points = sumOf(gameweeks, 'points');
+      const optimalPoints = sumOf(gameweeks, 'optimalPoints');
+      return {
+        managerId: m.managerId,
+        managerName: m.managerName,
+        teamName: m.teamName,
+        points,
+        benchPoints: sumOf(gameweeks, 'benchPoints'),
+        optimalPoints,
+        optimalBenchPoints: sumOf(gameweeks, 'optimalBenchPoints'),
+        efficiency: managementEfficiency(points, optimalPoints),
+        gameweeks
+      };
+    })
+    .sort((a, b) => b.efficiency - a.efficiency || a.benchPoints - b.benchPoints);
+
+  // Player contributions: sorted managers desc by totalPoints, players desc by points
+  const contributions = managers.map(manager => {
+    const players = Object.entries(stateOf(manager.managerId).players)
+      .map(([playerId, points]) => {
+        const info = playerInfo[parseInt(playerId)] || { name: `Player ${playerId}`, position: 0 };
+        return { id: parseInt(playerId), name: info.name, position: info.position, points };
+      })
+      .filter(p => p.points > 0)
+      .sort((a, b) => b.points - a.points);
+
+    return {
+      managerId: manager.managerId,
+      managerName: manager.managerName,
+      teamName: manager.teamName,
+      totalPoints: manager.totalPoints,
+      players
+    };
+  }).sort((a, b) => b.totalPoints - a.totalPoints);
+
+  return { autoSubs, transferCosts, benchEfficiency, playerContributions: { managers: contributions } };
+}
+
+/**
+ * Build or update the snapshot of each league in turn, for the scheduled job.
+ * @param {Array<number|string>} leagueIds
+ * @param {{ leagueType, maxManagers }} options
+ * @returns {Promise<Array<object>>} one summary per league
+ */
+async function buildSnapshots(client, leagueIds, { leagueType, maxManagers }) {
+  const bootstrapData = await client.bootstrap();
+  const summaries = [];
+  for (const leagueId of leagueIds) {
+    const leagueData = await client.leagueManagers(leagueId, maxManagers, leagueType);
+    if (!leagueData) {
+      summaries.push({ leagueId: String(leagueId), status: 'not-found' });
+      continue;
+    }
+    const league = { leagueId, leagueType, maxManagers };
+    const { snapshot, updatedGameweeks, issues } = await updateSeasonSnapshot(client, league, { bootstrapData, leagueData });
+    const { warnings, errors } = issues.report();
+    summaries.push({
+      leagueId: String(leagueId),
+      status: updatedGameweeks.length > 0 ? 'updated' : 'current',
+      version: snapshot.version,
+      lastFinishedGW: snapshot.lastFinishedGW,
+      updatedGameweeks,
+      warnings,
+      errors
+    });
+  }
+  return summaries;
+}
+
+module.exports = {
+  SNAPSHOT_SCHEMA,
+  createMemorySnapshotStore, createFileSnapshotStore, setSnapshotStore, getSnapshotStore, isPersistent,
+  snapshotKey, managerSeasonState, updateSeasonSnapshot, summariseSeason, buildSnapshots
+};
@@ -0,0 +1,162 @@
+// api/_lib/stream.js — live gameweek updates pushed to browsers over server-sent events
+'use strict';
+
+// FPL's live data and current-GW picks are cached for a minute, so polling faster
+// would only re-read the cache
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// A row is re-sent when any of these change
+const STANDINGS_FIELDS = [
+  'confirmedGwPoints',
+  'projectedGwPoints',
+  'confirmedPoints',
+  'projectedPoints',
+  'provisionalBonus',
+  'currentPosition',
+  'degraded'
+];
+
+const PLAYER_EVENTS = [['goal', 'goalsScored'], ['assist', 'assists'], ['bonus', 'bonus']];
+
+/**
+ * Rows whose points, position, projected auto-subs or degraded flag changed between
+ * two polls.
+ * `pointsDelta` is the change in projected total and `positionDelta` the places
+ * gained (positive is up). A manager new to the league is reported with zero deltas.
+ * @returns {Array<{ managerId, row, pointsDelta, positionDelta }>}
+ */
+function diffStandings(previous, next) {
+  const before = new Map(previous.map(row => [row.managerId, row]));
+  const changes = [];
+  for (const row of next) {
+    const old = before.get(row.managerId);
+    const unchanged = old &&
+      STANDINGS_FIELDS.every(field => old[field] === row[field]) &&
+      old.projectedAutoSubs.length === row.projectedAutoSubs.length;
+    if (unchanged) continue;
+    changes.push({
+      managerId: row.managerId,
+      row,
+      pointsDelta: old ? row.projectedPoints - old.projectedPoints : 0,
+      positionDelta: old ? old.currentPosition - row.currentPosition : 0
+    });
+  }
+  return changes;
+}
+
+/**
+ * Goals, assists and bonus that changed between two polls, for players owned in the
+ * league. `players[element]` is { name, goalsScored, assists, bonus } and `owners`
+ * maps an element to the managerIds who picked it. A negative count is a correction,
+ * e.g. a goal ruled out or bonus shuffled by late BPS.
+ * @returns {Array<{ type: 'goal'|'assist'|'bonus', element, name, count, total, owners }>}
+ */
+function diffPlayerEvents(previousPlayers, nextPlayers, owners) {
+  const events = [];
+  for (const [element, managerIds] of owners) {
+    const after = nextPlayers[element];
+    if (!after) continue;
+    const before = previousPlayers[element];
+    for (const [type, key] of PLAYER_EVENTS) {
+      const count = after[key] - (before ? before[key] : 0);
+      if (count === 0) continue;
+      events.push({ type, element, name: after.name, count, total: after[key], owners: managerIds });
+    }
+  }
+  return events;
+}
+
+/**
+ * One poll loop per key (a league), shared by every stream subscribed to it, so the
+ * standings are recomputed once per interval however many browsers are watching.
+ *
+ * `load()` resolves to a snapshot { gameweek, live, leagueName, results, players,
+ * owners, warnings, errors }. Subscribers are `send(event, data)` callbacks and receive:
+ *  - `snapshot` — the full table, on joining (once the first poll is in);
+ *  - `update` — { gameweek, changes, events, warnings, errors } after a poll that
+ *    changed something; warnings and errors are the latest poll's in full;
+ *  - `warning` — { message } when a poll fails; the previous snapshot stands;
+ *  - `end` — { gameweek } once no gameweek is in progress. The loop stops there.
+ * The loop also stops when the last subscriber leaves.
+ */
+function createLiveHub({ interval = POLL_INTERVAL_MS } = {}) {
+  const channels = new Map();
+
+  const view = ({ gameweek, live, leagueName, results, warnings = [], errors = [] }) =>
+    ({ gameweek, live, leagueName, results, warnings, errors });
+
+  const broadcast = (channel, event, data) => {
+    for (const send of channel.subscribers) send(event, data);
+  };
+
+  const poll = async (key, channel) => {
+    let snapshot = null;
+    try {
+      snapshot = await channel.load();
+    } catch (error) {
+      console.warn(`Live stream poll failed for ${key}:`, error.message);
+    }
+    // Everyone left while the poll was in flight
+    if (channels.get(key) !== channel) return;
+
+    if (!snapshot) {
+      broadcast(channel, 'warning', { message: 'Could not refresh live data; retrying.' });
+    } else if (!channel.snapshot) {
+      channel.snapshot = snapshot;
+      broadcast(channel, 'snapshot', view(snapshot));
+    } else {
+      const previous = channel.snapshot;
+      channel.snapshot = snapshot;
+      const update = {
+        gameweek: snapshot.gameweek,
+        changes: diffStandings(previous.results, snapshot.results),
+        events: snapshot.gameweek === previous.gameweek
+          ? diffPlayerEvents(previous.players, snapshot.players, snapshot.owners)
+          : [],
+        warnings: snapshot.warnings || [],
+        errors: snapshot.errors || []
+      };
+      if (update.changes.length > 0 || update.events.length > 0) broadcast(channel, 'update', update);
+    }
+
+    if (snapshot && !snapshot.live) {
+      broadcast(channel, 'end', { gameweek: snapshot.gameweek });
+      channels.delete(key);
+      return;
+    }
+    channel.timer = setTimeout(() => poll(key, channel), interval);
+  };
+
+  return {
+    /**
+     * Join the loop for `key`, starting it with `load` if nobody is watching yet.
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(key, load, send) {
+      let channel = channels.get(key);
+      if (!channel) {
+        channel = { load, subscribers: new Set(), snapshot: null, timer: null };
+        channels.set(key, channel);
+        channel.subscribers.add(send);
+        poll(key, channel);
+      } else {
+        channel.subscribers.add(send);
+        if (channel.snapshot) send('snapshot', view(channel.snapshot));
+      }
+      return () => {
+        channel.subscribers.delete(send);
+        if (channel.subscribers.size === 0 && channels.get(key) === channel) {
+          clearTimeout(channel.timer);
+          channels.delete(key);
+        }
+      };
+    },
+
+    /** Number of leagues currently being polled. */
+    size() {
+      return channels.size;
+    }
+  };
+}
+
+module.exports = { POLL_INTERVAL_MS, diffStandings, diffPlayerEvents, createLiveHub };
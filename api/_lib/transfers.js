@@ -0,0 +1,82 @@
+// api/_lib/transfers.js — hindsight for individual transfers
+'use strict';
+
+const HIT_COST = 4;
+
+/**
+ * Evaluate every transfer a manager made: the points the player brought in scored
+ * against the player sold, from the transfer GW until the next transfer involving
+ * either of them (or `lastGW`); a player moved again in the same GW gets an empty
+ * window (toGW < fromGW). Free Hit transfers only count for their own GW, since
+ * the squad reverts afterwards.
+ *
+ * A GW's `event_transfers_cost` is charged to its last transfers — the free ones are
+ * used first — at 4 points each, so `net = gain - hitCost`.
+ *
+ * @param {Array<object>} transfers /entry/{id}/transfers/ (any order)
+ * @param {object} options
+ * @param {object} options.gwPlayerData gw → playerId → { points }
+ * @param {object} options.picksByGW gw → picks response (for entry_history and active_chip)
+ * @param {number} options.lastGW last GW to count points for
+ * @returns {Array<{ gw, elementIn, elementOut, fromGW, toGW, pointsIn, pointsOut, gain, hitCost, net, chip }>}
+ *   in the order the transfers were made
+ */
+function evaluateTransfers(transfers, { gwPlayerData, picksByGW, lastGW }) {
+  const ordered = [...transfers].sort((a, b) =>
+    a.event - b.event || String(a.time).localeCompare(String(b.time)));
+
+  const pointsOf = (element, fromGW, toGW) => {
+    let total = 0;
+    for (let gw = fromGW; gw <= toGW; gw++) {
+      const data = gwPlayerData[gw] && gwPlayerData[gw][element];
+      total += data ? data.points : 0;
+    }
+    return total;
+  };
+
+  const chipIn = (gw) => (picksByGW[gw] && picksByGW[gw].active_chip) || null;
+
+  // Hits per GW, charged to that GW's last transfers
+  const paidFrom = {};
+  for (const gw of new Set(ordered.map(t => t.event))) {
+    const history = picksByGW[gw] && picksByGW[gw].entry_history;
+    const hits = history ? Math.round(history.event_transfers_cost / HIT_COST) : 0;
+    const inGW = ordered.filter(t => t.event === gw).length;
+    paidFrom[gw] = inGW - hits;
+  }
+  const seenInGW = {};
+
+  return ordered.map((transfer, i) => {
+    const gw = transfer.event;
+    const chip = chipIn(gw);
+    const involved = [transfer.element_in, transfer.element_out];
+    // Free Hit squads revert, so their transfers never end an earlier window
+    const next = ordered.slice(i + 1).find(t => chipIn(t.event) !== 'freehit' &&
+      (involved.includes(t.element_in) || involved.includes(t.element_out)));
+
+    let toGW = next ? next.event - 1 : lastGW;
+    if (chip === 'freehit') toGW = Math.min(toGW, gw);
+    toGW = Math.min(toGW, lastGW);
+
+    seenInGW[gw] = (seenInGW[gw] || 0) + 1;
+    const hitCost = seenInGW[gw] > paidFrom[gw] ? HIT_COST : 0;
+
+    const pointsIn = pointsOf(transfer.element_in, gw, toGW);
+    const pointsOut = pointsOf(transfer.element_out, gw, toGW);
+    return {
+      gw,
+      elementIn: transfer.element_in,
+      elementOut: transfer.element_out,
+      fromGW: gw,
+      toGW,
+      pointsIn,
+      pointsOut,
+      gain: pointsIn - pointsOut,
+      hitCost,
+      net: pointsIn - pointsOut - hitCost,
+      chip
+    };
+  });
+}
+
+module.exports = { evaluateTransfers };
@@ -0,0 +1,79 @@
+// api/build-snapshot.js
+// Scheduled job: brings each league's season snapshot up to date once a gameweek has
+// finished, so visitors to get-season-data never wait for a season's worth of picks.
+// Run without leagueId it updates every league listed in SNAPSHOT_LEAGUES; a league
+// that is already current costs two requests (bootstrap and standings). Once the
+// season's last gameweek has finished, each league's season is archived as well
+// (see _lib/archive.js) before FPL resets for the next one.
+//
+// The job only helps once snapshots go to lasting storage shared with the other
+// functions: FPL_SNAPSHOT_DIR on a shared disk, or a blob store plugged in with
+// setSnapshotStore(). The default store is each instance's own /tmp, which nothing
+// else reads, so vercel.json does not schedule it; add
+//   { "path": "/api/build-snapshot", "schedule": "15 * * * *" }
+// to its crons once a lasting store is configured. Responses carry
+// `persistent: false` (and a warning is logged) while it is not.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { buildSnapshots, isPersistent } = require('./_lib/snapshots');
+const { archiveFinishedSeasons } = require('./_lib/archive');
+const { FplClient } = require('./_lib/client');
+
+const configuredLeagues = () => (process.env.SNAPSHOT_LEAGUES || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- Build Season Snapshot Request ---');
+  try {
+    // Vercel Cron sends the project's CRON_SECRET as a bearer token
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: 'Unauthorized.' });
+    }
+
+    const leagueIds = req.query.leagueId ? [req.query.leagueId] : configuredLeagues();
+    if (leagueIds.length === 0) {
+      return res.status(400).json({ error: 'leagueId is required when SNAPSHOT_LEAGUES is not set.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const persistent = isPersistent(client.snapshots);
+    if (!persistent) {
+      console.warn('  The snapshot store is temporary: set FPL_SNAPSHOT_DIR or plug in a blob store to keep snapshots.');
+    }
+
+    // Leagues are built one after another; each already fetches its managers in parallel
+    console.log(`Step 1: Updating snapshots for ${leagueIds.length} league(s)...`);
+    const leagues = await buildSnapshots(client, leagueIds, { leagueType, maxManagers });
+    for (const league of leagues) {
+      console.log(`  League ${league.leagueId}: ${league.status}${league.version ? ` (v${league.version})` : ''}`);
+    }
+
+    console.log('Step 2: Archiving finished seasons...');
+    if (!isPersistent(client.archive)) {
+      console.warn('  The archive store is temporary: set FPL_ARCHIVE_DIR to keep archived seasons.');
+    }
+    const found = leagues.filter(l => l.status !== 'not-found').map(l => l.leagueId);
+    const archived = await archiveFinishedSeasons(client, found, { leagueType, maxManagers });
+    for (const league of archived) {
+      console.log(`  League ${league.leagueId}: ${league.status} (v${league.version})`);
+    }
+
+    console.log('--- Build Snapshot Request Complete ---');
+    return res.status(200).json({ leagueType, persistent, leagues, archived, cache: client.cacheSummary() });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
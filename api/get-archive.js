@@ -0,0 +1,162 @@
+// api/get-archive.js
+// The league's history across seasons: every archived season's final standings, an
+// all-time table, head-to-head records between members and the hall of fame. Each
+// request tops up the archive (see _lib/archive.js): new members' past seasons are
+// imported, and a season whose gameweeks have all finished is archived with its
+// season data. ?season=2024/25 returns that season as stored, season data included.
+// archive.persistent is false while archives go to storage that will not last.
+const { parseManagerCap, parseLeagueType, seasonName } = require('./_lib/fpl');
+const { isPersistent } = require('./_lib/snapshots');
+const { seasonFinished, updateArchive, allTimeTable, headToHeadRecords, hallOfFame } = require('./_lib/archive');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { FplClient } = require('./_lib/client');
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  allTime: {
+    columns: [
+      ...MANAGER_COLUMNS,
+      ['seasons', 'seasons'],
+      ['titles', 'titles'],
+      ['podiums', 'podiums'],
+      ['total_points', 'totalPoints'],
+      ['average_points', 'averagePoints'],
+      ['best_finish', 'bestFinish'],
+      ['average_finish', 'averageFinish'],
+      ['best_overall_rank', 'bestOverallRank']
+    ],
+    rows: body => body.allTime
+  },
+  seasons: {
+    columns: [
+      ['season', 'season'],
+      ['source', 'source'],
+      ['position', 'position'],
+      ...MANAGER_COLUMNS,
+      ['total_points', 'totalPoints'],
+      ['overall_rank', 'overallRank']
+    ],
+    rows: body => body.seasons.flatMap(({ standings, ...season }) =>
+      standings.map(row => ({ ...row, season: season.season, source: season.source })))
+  },
+  headToHead: {
+    columns: [
+      ...MANAGER_COLUMNS,
+      ['opponent_id', 'opponentId'],
+      ['opponent_name', 'opponentName'],
+      ['opponent_team_name', 'opponentTeamName'],
+      ['seasons', 'seasons'],
+      ['season_wins', 'seasonWins'],
+      ['season_draws', 'seasonDraws'],
+      ['season_losses', 'seasonLosses'],
+      ['gameweeks', 'gameweeks'],
+      ['gameweek_wins', 'gameweekWins'],
+      ['gameweek_draws', 'gameweekDraws'],
+      ['gameweek_losses', 'gameweekLosses']
+    ],
+    rows: body => body.headToHead
+  },
+  records: {
+    columns: [
+      ['record', 'title'],
+      ['value', 'value'],
+      ...MANAGER_COLUMNS,
+      ['season', 'season'],
+      ['gameweek', 'gameweek']
+    ],
+    rows: body => body.records
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- League Archive Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    // Step 2: Import new members' past seasons; archive the season once it has finished
+    console.log('Step 2: Updating archive...');
+    const { archive, imported, archivedSeason, issues } = await updateArchive(
+      client,
+      { leagueId, leagueType, maxManagers },
+      { bootstrapData, leagueData }
+    );
+    console.log(`Archive v${archive.version}: ${archive.seasons.length} season(s)` +
+      `${imported.length ? `, imported ${imported.length} manager(s)` : ''}${archivedSeason ? `, archived ${archivedSeason}` : ''}`);
+    const persistent = isPersistent(client.archive);
+    if (!persistent) console.warn('  The archive store is temporary: set FPL_ARCHIVE_DIR to keep archived seasons.');
+
+    if (req.query.season) {
+      const season = archive.seasons.find(s => s.season === req.query.season);
+      if (!season) {
+        return res.status(404).json({ error: `Season ${req.query.season} is not in the archive.` });
+      }
+      console.log('--- Archive Request Complete ---');
+      return res.status(200).json({ leagueType, ...season, ...issues.report(), cache: client.cacheSummary() });
+    }
+
+    // Step 3: Records across every archived season
+    console.log('Step 3: Computing all-time records...');
+    const seasons = archive.seasons.map(({ seasonData, ...season }) => ({
+      ...season,
+      hasSeasonData: seasonData !== null
+    }));
+    const current = seasonName(bootstrapData);
+
+    console.log('--- Archive Request Complete ---');
+    return sendReport(res, report, `archive-${leagueId}`, {
+      leagueName: leagueData.league ? leagueData.league.name : null,
+      leagueType,
+      currentSeason: {
+        season: current,
+        finished: seasonFinished(bootstrapData),
+        archived: archive.seasons.some(s => s.season === current && s.source === 'archived')
+      },
+      seasons,
+      allTime: allTimeTable(archive.seasons),
+      headToHead: headToHeadRecords(archive.seasons),
+      records: hallOfFame(archive.seasons),
+      archive: {
+        version: archive.version,
+        updatedAt: archive.updatedAt,
+        imported,
+        archivedSeason,
+        persistent
+      },
+      ...issues.report(),
+      cache: client.cacheSummary()
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
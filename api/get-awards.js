@@ -0,0 +1,230 @@
+// api/get-awards.js
+// Award board: manager of the month for each calendar month (grouped by gameweek
+// deadline, as FPL does) and season-long awards over the finished gameweeks.
+const { parseManagerCap, parseLeagueType, resolveAutoSubs } = require('./_lib/fpl');
+const { loadFinishedLiveData, loadFinishedPicks } = require('./_lib/season');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// '2025-08' and 'August 2025' for a deadline; months follow the UTC deadline date
+const monthOf = (deadline) => {
+  const date = new Date(deadline);
+  return {
+    month: date.toISOString().slice(0, 7),
+    name: date.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  };
+};
+
+/**
+ * Pick the winners of an award from candidate entries ({ manager, value, gw? }).
+ * Ties share the award; `requirePositive` leaves it unawarded when nobody scored.
+ */
+const award = (id, title, description, entries, { lowest = false, requirePositive = false } = {}) => {
+  const eligible = requirePositive ? entries.filter(e => e.value > 0) : entries;
+  if (eligible.length === 0) return { id, title, description, value: null, winners: [] };
+  const values = eligible.map(e => e.value);
+  const value = lowest ? Math.min(...values) : Math.max(...values);
+  const winners = eligible
+    .filter(e => e.value === value)
+    .map(e => ({ ...e.manager, ...(e.gw ? { gw: e.gw } : {}) }));
+  return { id, title, description, value, winners };
+};
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  months: {
+    columns: [
+      ['month', 'month'],
+      ['gameweeks', r => r.gameweeks.join(' ')],
+      ['complete', 'complete'],
+      ...MANAGER_COLUMNS,
+      ['gameweeks_played', 'gameweeksPlayed'],
+      ['points', 'points'],
+      ['hits', 'hits'],
+      ['net', 'net'],
+      ['winner', 'winner']
+    ],
+    rows: body => body.months.flatMap(({ standings, winners, ...month }) =>
+      standings.map(s => ({ ...month, ...s, winner: winners.some(w => w.managerId === s.managerId) })))
+  },
+  awards: {
+    columns: [
+      ['award', 'id'],
+      ['title', 'title'],
+      ['value', 'value'],
+      ...MANAGER_COLUMNS,
+      ['gameweek', 'gw']
+    ],
+    // One row per winner; an unawarded award keeps a row with no manager
+    rows: body => body.awards.flatMap(({ winners, ...entry }) =>
+      winners.length > 0 ? winners.map(w => ({ ...entry, ...w })) : [entry])
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Awards Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    const currentGameweek = currentEvent ? currentEvent.id : 0;
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    const elementTypes = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+    }
+
+    // Step 2: Live data + picks for every finished GW
+    console.log('Step 2: Fetching live GW data & picks...');
+    const issues = createIssueLog(leagueData.managers);
+    const gwPlayerData = await loadFinishedLiveData(client, finishedGWs);
+    const picksByManager = await loadFinishedPicks(client, leagueData.managers.map(m => m.entry), finishedGWs, { issues });
+
+    // Step 3: Per-manager season record
+    console.log('Step 3: Building season records...');
+    const records = leagueData.managers.map(m => {
+      const manager = { managerId: m.entry, managerName: m.player_name, teamName: m.entry_name };
+      const gameweeks = [];
+      for (const gw of finishedGWs) {
+        const picksData = picksByManager[m.entry][gw];
+        if (!picksData || !picksData.entry_history) continue;
+        const gwData = gwPlayerData[gw] || {};
+        const pointsOf = (element) => (gwData[element] ? gwData[element].points : 0);
+
+        // FPL's own automatic subs, scored from live data
+        const autoSubPoints = (picksData.automatic_subs || [])
+          .reduce((sum, sub) => sum + pointsOf(sub.element_in), 0);
+
+        let captainPoints = 0;
+        if (Array.isArray(picksData.picks)) {
+          const { captain } = resolveAutoSubs(picksData.picks, gwData, {
+            elementTypes,
+            activeChip: picksData.active_chip
+          });
+          if (captain) captainPoints = pointsOf(captain.element) * captain.multiplier;
+        }
+
+        const history = picksData.entry_history;
+        gameweeks.push({
+          gw,
+          points: history.points,
+          hits: history.event_transfers_cost,
+          overallRank: history.overall_rank,
+          benchPoints: history.points_on_bench || 0,
+          autoSubPoints,
+          captainPoints
+        });
+      }
+      return { manager, gameweeks };
+    });
+
+    // Step 4: Manager of the month, net of hits like FPL's monthly standings
+    console.log('Step 4: Computing monthly standings...');
+    const finished = new Set(finishedGWs);
+    const months = [];
+    for (const event of bootstrapData.events) {
+      const { month, name } = monthOf(event.deadline_time);
+      let entry = months.find(m => m.month === month);
+      if (!entry) {
+        entry = { month, name, gameweeks: [] };
+        months.push(entry);
+      }
+      entry.gameweeks.push(event.id);
+    }
+
+    const monthsResponse = months
+      .filter(m => m.gameweeks.some(gw => finished.has(gw)))
+      .map(m => {
+        const standings = records.map(({ manager, gameweeks }) => {
+          const inMonth = gameweeks.filter(g => m.gameweeks.includes(g.gw));
+          const points = inMonth.reduce((sum, g) => sum + g.points, 0);
+          const hits = inMonth.reduce((sum, g) => sum + g.hits, 0);
+          return { ...manager, gameweeksPlayed: inMonth.length, points, hits, net: points - hits };
+        }).sort((a, b) => b.net - a.net);
+        const top = standings.length > 0 ? standings[0].net : null;
+        return {
+          month: m.month,
+          name: m.name,
+          gameweeks: m.gameweeks,
+          complete: m.gameweeks.every(gw => finished.has(gw)),
+          winners: standings.filter(s => s.net === top && s.gameweeksPlayed > 0)
+            .map(({ managerId, managerName, teamName }) => ({ managerId, managerName, teamName })),
+          standings
+        };
+      });
+
+    // Step 5: Season awards
+    console.log('Step 5: Computing season awards...');
+    const perGW = records.flatMap(({ manager, gameweeks }) =>
+      gameweeks.map(g => ({ manager, gw: g.gw, value: g.points })));
+    const arrows = records.flatMap(({ manager, gameweeks }) =>
+      gameweeks.slice(1)
+        .map((g, i) => ({ previous: gameweeks[i], g }))
+        .filter(({ previous, g }) => previous.gw === g.gw - 1 && previous.overallRank && g.overallRank)
+        .map(({ previous, g }) => ({ manager, gw: g.gw, value: previous.overallRank - g.overallRank })));
+    const seasonTotal = (key) => records.map(({ manager, gameweeks }) => ({
+      manager,
+      value: gameweeks.reduce((sum, g) => sum + g[key], 0)
+    }));
+
+    const awards = [
+      award('highest-gameweek', 'Highest gameweek score', 'Most points in a single gameweek', perGW),
+      award('wooden-spoon', 'Wooden spoon', 'Fewest points in a single gameweek', perGW, { lowest: true }),
+      award('green-arrow', 'Biggest green arrow', 'Largest overall rank climb in one gameweek', arrows, { requirePositive: true }),
+      award('red-arrow', 'Biggest red arrow', 'Largest overall rank fall in one gameweek',
+        arrows.map(a => ({ ...a, value: -a.value })), { requirePositive: true }),
+      award('most-hits', 'Hit merchant', 'Most points spent on transfer hits', seasonTotal('hits'), { requirePositive: true }),
+      award('luckiest-autosubs', 'Luckiest auto-subs', 'Most points from automatic substitutions', seasonTotal('autoSubPoints'), { requirePositive: true }),
+      award('bench-warmer', 'Bench warmer', 'Most points left on the bench', seasonTotal('benchPoints'), { requirePositive: true }),
+      award('captain-fantastic', 'Captain fantastic', 'Most points from the armband', seasonTotal('captainPoints'), { requirePositive: true })
+    ];
+
+    const cacheSummary = client.cacheSummary();
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+    console.log('--- Awards Request Complete ---');
+    return sendReport(res, report, `awards-${leagueId}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      leagueType,
+      managerCount: records.length,
+      truncated: leagueData.truncated,
+      months: monthsResponse,
+      awards,
+      ...issues.report(),
+      cache: cacheSummary
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
@@ -0,0 +1,153 @@
+// api/get-chips.js
+// Chip report: when every manager played each chip, what it gained over the same GW
+// without it, and a league ranking of the best chip plays. A chip in the gameweek in
+// progress is scored from live points and flagged `inProgress`.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadFinishedLiveData, loadFinishedPicks, loadGameweekPicks } = require('./_lib/season');
+const { loadLiveGameweek } = require('./_lib/live');
+const { CHIP_NAMES, scoreChip } = require('./_lib/chips');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// Tables available as ?format=csv&table=<name>: one row per chip played
+const CSV_TABLES = {
+  chips: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['chip', 'chip'],
+      ['chip_name', 'name'],
+      ['in_progress', 'inProgress'],
+      ['points', 'points'],
+      ['counterfactual_points', 'counterfactualPoints'],
+      ['gain', 'gain']
+    ],
+    rows: body => body.managers.flatMap(({ chips, ...manager }) =>
+      chips.map(c => ({ ...manager, ...c })))
+      .sort((a, b) => a.gw - b.gw || a.managerId - b.managerId)
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Chips Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    const currentGameweek = currentEvent ? currentEvent.id : 0;
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    const elementTypes = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+    }
+    console.log(`Managers: ${leagueData.managers.length}, Finished GWs: ${finishedGWs.length}`);
+
+    // Step 2: Live data + picks for every finished GW
+    console.log('Step 2: Fetching live GW data & picks...');
+    const issues = createIssueLog(leagueData.managers);
+    const gwPlayerData = await loadFinishedLiveData(client, finishedGWs);
+    const picksByManager = await loadFinishedPicks(client, leagueData.managers.map(m => m.entry), finishedGWs, { issues });
+
+    const gameweeks = [...finishedGWs];
+    const inProgressGW = currentEvent && !currentEvent.finished ? currentGameweek : null;
+    if (inProgressGW) {
+      console.log(`Fetching live data & picks for GW${inProgressGW} in progress...`);
+      const liveGameweek = await loadLiveGameweek(client, bootstrapData, inProgressGW, issues);
+      gwPlayerData[inProgressGW] = liveGameweek.livePlayerData;
+      const livePicks = await loadGameweekPicks(client, leagueData.managers.map(m => m.entry), inProgressGW, { issues });
+      for (const [managerId, data] of Object.entries(livePicks)) {
+        picksByManager[managerId][inProgressGW] = data;
+      }
+      gameweeks.push(inProgressGW);
+    }
+
+    // Step 3: Score every chip played
+    console.log('Step 3: Scoring chips...');
+    const managers = leagueData.managers.map(manager => {
+      const managerPicks = picksByManager[manager.entry];
+      const chips = [];
+      for (const gw of gameweeks) {
+        const picksData = managerPicks[gw];
+        if (!picksData || !picksData.active_chip || !Array.isArray(picksData.picks)) continue;
+
+        // The squad the chip replaced: the last GW that was not itself a Free Hit
+        let previous = null;
+        for (let prevGW = gw - 1; prevGW >= 1 && !previous; prevGW--) {
+          const prevPicks = managerPicks[prevGW];
+          if (prevPicks && prevPicks.active_chip !== 'freehit') previous = prevPicks;
+        }
+
+        chips.push({
+          gw,
+          inProgress: gw === inProgressGW,
+          ...scoreChip(picksData, previous, gwPlayerData[gw] || {}, { elementTypes })
+        });
+      }
+
+      return {
+        managerId: manager.entry,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        totalGain: chips.reduce((sum, c) => sum + (c.gain || 0), 0),
+        chips
+      };
+    }).sort((a, b) => b.totalGain - a.totalGain);
+
+    // Best chip plays across the league, biggest gain first
+    const bestPlays = managers
+      .flatMap(m => m.chips
+        .filter(c => c.gain !== null)
+        .map(c => ({ managerId: m.managerId, managerName: m.managerName, teamName: m.teamName, ...c })))
+      .sort((a, b) => b.gain - a.gain || a.gw - b.gw)
+      .map((play, index) => ({ rank: index + 1, ...play }));
+
+    const cacheSummary = client.cacheSummary();
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+    console.log('--- Chips Request Complete ---');
+    return sendReport(res, report, `chips-${leagueId}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      leagueType,
+      managerCount: managers.length,
+      truncated: leagueData.truncated,
+      chipNames: CHIP_NAMES,
+      managers,
+      bestPlays,
+      ...issues.report(),
+      cache: cacheSummary
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
@@ -0,0 +1,231 @@
+// api/get-h2h-live.js
+// Live head-to-head table: projects each of this gameweek's H2H fixtures from live
+// points and recomputes the 3/1/0 league points as the gameweek plays out.
+const { loadLiveGameweek, scoreLivePicks } = require('./_lib/live');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog, loadPicks } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+const WIN_POINTS = 3;
+const DRAW_POINTS = 1;
+
+const resultFor = (score, opponentScore) =>
+  score > opponentScore ? 'W' : score < opponentScore ? 'L' : 'D';
+
+const leaguePointsFor = (result) =>
+  result === 'W' ? WIN_POINTS : result === 'D' ? DRAW_POINTS : 0;
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  standings: {
+    columns: [
+      ['gameweek', 'gameweek'],
+      ['position', 'currentPosition'],
+      ...MANAGER_COLUMNS,
+      ['opponent_id', 'opponentId'],
+      ['result', 'result'],
+      ['confirmed_score', 'confirmedScore'],
+      ['projected_score', 'projectedScore'],
+      ['league_points', 'leaguePoints'],
+      ['projected_league_points', 'projectedLeaguePoints'],
+      ['points_for', 'pointsFor'],
+      ['projected_points_for', 'projectedPointsFor'],
+      ['last_gameweek_position', 'lastGameweekPosition'],
+      ['position_change', 'positionChange'],
+      ['degraded', 'degraded']
+    ],
+    rows: body => body.results.map(r => ({ ...r, gameweek: body.gameweek }))
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL H2H Live Request ---');
+  try {
+    const { leagueId } = req.query;
+    console.log(`Received request for H2H League ID: ${leagueId}`);
+
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + H2H standings in parallel
+    console.log('Step 1: Fetching bootstrap & H2H standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, Infinity, 'h2h')
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    if (!currentEvent) {
+      return sendReport(res, report, `h2h-live-${leagueId}-gw0`, {
+        gameweek: 0,
+        leagueName: leagueData.league ? leagueData.league.name : null,
+        leagueType: 'h2h',
+        managerCount: leagueData.managers.length,
+        average: null,
+        matches: [],
+        results: [],
+        warnings: [],
+        errors: []
+      });
+    }
+    const currentGameweek = currentEvent.id;
+    console.log(`Current Gameweek is: ${currentGameweek}`);
+    const issues = createIssueLog(leagueData.managers);
+
+    // Step 2: Live player data + this gameweek's H2H fixtures
+    console.log('Step 2: Fetching live player data & H2H matches...');
+    const [liveGameweek, matches] = await Promise.all([
+      loadLiveGameweek(client, bootstrapData, currentGameweek, issues),
+      client.h2hMatches(leagueId, currentGameweek)
+    ]);
+
+    // Step 3: Live score per manager. H2H scores are net of transfer hits. A manager
+    // without usable picks scores 0 and is flagged as degraded.
+    console.log('Step 3: Scoring each manager...');
+    const picksResponses = await Promise.all(leagueData.managers.map(manager =>
+      loadPicks(client, manager.entry, currentGameweek, { issues })
+        .then(data => ({ managerId: manager.entry, data }))
+    ));
+    const scores = {};
+    const degraded = new Set();
+    for (const { managerId, data } of picksResponses) {
+      if (!data) {
+        scores[managerId] = { confirmed: 0, projected: 0 };
+        degraded.add(managerId);
+        continue;
+      }
+      const live = scoreLivePicks(data, liveGameweek);
+      const hits = data.entry_history ? data.entry_history.event_transfers_cost : 0;
+      scores[managerId] = {
+        confirmed: live.confirmedGwPoints - hits,
+        projected: live.projectedGwPoints - hits
+      };
+    }
+
+    // The average only counts managers whose picks were scored
+    const scoreValues = Object.entries(scores)
+      .filter(([managerId]) => !degraded.has(Number(managerId)))
+      .map(([, score]) => score);
+    const average = scoreValues.length > 0
+      ? Math.round(scoreValues.reduce((sum, s) => sum + s.projected, 0) / scoreValues.length)
+      : 0;
+
+    // Step 4: Project each fixture
+    console.log('Step 4: Projecting fixtures...');
+    const managersById = new Map(leagueData.managers.map(m => [m.entry, m]));
+    const perManager = {}; // managerId → { result, opponentId, countedPoints, countedScore }
+
+    const side = (entry, name, playerName) => ({
+      managerId: entry,
+      teamName: name,
+      managerName: playerName,
+      confirmedScore: entry ? scores[entry]?.confirmed ?? 0 : average,
+      projectedScore: entry ? scores[entry]?.projected ?? 0 : average
+    });
+
+    const matchesResponse = matches.map(match => {
+      const entry1 = side(match.entry_1_entry, match.entry_1_name, match.entry_1_player_name);
+      const entry2 = match.entry_2_entry
+        ? side(match.entry_2_entry, match.entry_2_name, match.entry_2_player_name)
+        : side(null, 'AVERAGE', 'League average');
+      const result1 = resultFor(entry1.projectedScore, entry2.projectedScore);
+
+      // FPL may already have settled this fixture into the standings
+      const alreadyCounted = (match.entry_1_win + match.entry_1_draw + match.entry_1_loss) > 0;
+      perManager[entry1.managerId] = {
+        result: result1,
+        opponentId: entry2.managerId,
+        countedPoints: alreadyCounted ? match.entry_1_total : 0,
+        countedScore: alreadyCounted ? match.entry_1_points : 0
+      };
+      if (entry2.managerId) {
+        perManager[entry2.managerId] = {
+          result: resultFor(entry2.projectedScore, entry1.projectedScore),
+          opponentId: entry1.managerId,
+          countedPoints: alreadyCounted ? match.entry_2_total : 0,
+          countedScore: alreadyCounted ? match.entry_2_points : 0
+        };
+      }
+
+      return {
+        id: match.id,
+        entry1,
+        entry2,
+        projectedResult: result1,
+        projectedWinner: result1 === 'W' ? entry1.managerId : result1 === 'L' ? entry2.managerId : null,
+        isKnockout: Boolean(match.is_knockout)
+      };
+    });
+
+    // Step 5: Build the projected table
+    console.log('Step 5: Building projected table...');
+    const rows = [...managersById.values()].map(manager => {
+      const fixture = perManager[manager.entry] || { result: null, opponentId: null, countedPoints: 0, countedScore: 0 };
+      const leaguePoints = (manager.leaguePoints || 0) - fixture.countedPoints;
+      const pointsFor = (manager.total || 0) - fixture.countedScore;
+      const projectedScore = scores[manager.entry]?.projected ?? 0;
+      return {
+        managerId: manager.entry,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        opponentId: fixture.opponentId,
+        result: fixture.result,
+        confirmedScore: scores[manager.entry]?.confirmed ?? 0,
+        projectedScore,
+        leaguePoints,
+        projectedLeaguePoints: leaguePoints + (fixture.result ? leaguePointsFor(fixture.result) : 0),
+        pointsFor,
+        projectedPointsFor: pointsFor + projectedScore,
+        degraded: degraded.has(manager.entry)
+      };
+    });
+
+    // H2H ties are broken on FPL points scored
+    const previousOrder = [...rows].sort((a, b) =>
+      b.leaguePoints - a.leaguePoints || b.pointsFor - a.pointsFor);
+    const previousPositions = new Map(previousOrder.map((r, i) => [r.managerId, i + 1]));
+
+    rows.sort((a, b) =>
+      b.projectedLeaguePoints - a.projectedLeaguePoints || b.projectedPointsFor - a.projectedPointsFor);
+
+    const results = rows.map((row, index) => {
+      const currentPosition = index + 1;
+      const lastGameweekPosition = previousPositions.get(row.managerId);
+      const positionChange = lastGameweekPosition - currentPosition;
+      return {
+        ...row,
+        currentPosition,
+        lastGameweekPosition,
+        positionChange,
+        changeDirection: positionChange > 0 ? 'up' : positionChange < 0 ? 'down' : 'same'
+      };
+    });
+
+    console.log('--- H2H Live Request Complete ---');
+    return sendReport(res, report, `h2h-live-${leagueId}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      leagueName: leagueData.league ? leagueData.league.name : null,
+      leagueType: 'h2h',
+      managerCount: results.length,
+      average,
+      matches: matchesResponse,
+      results,
+      ...issues.report(),
+      cache: client.cacheSummary()
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
@@ -1,12 +1,35 @@
 // api/get-live-standings.js
-const { fetchWithRetry, sleep } = require('./_lib/fpl');
-
-const LEAGUE_API_URL = 'https://fantasy.premierleague.com/api/leagues-classic/';
-const TEAM_API_URL = 'https://fantasy.premierleague.com/api/entry/';
-const BOOTSTRAP_URL = 'https://fantasy.premierleague.com/api/bootstrap-static/';
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadLiveGameweek, buildLiveStandings } = require('./_lib/live');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  standings: {
+    columns: [
+      ['gameweek', 'gameweek'],
+      ['position', 'currentPosition'],
+      ...MANAGER_COLUMNS,
+      ['active_chip', 'activeChip'],
+      ['confirmed_gw_points', 'confirmedGwPoints'],
+      ['projected_gw_points', 'projectedGwPoints'],
+      ['provisional_bonus', 'provisionalBonus'],
+      ['confirmed_points', 'confirmedPoints'],
+      ['projected_points', 'projectedPoints'],
+      ['last_gameweek_position', 'lastGameweekPosition'],
+      ['position_change', 'positionChange'],
+      ['captain_id', r => (r.projectedCaptain ? r.projectedCaptain.element : null)],
+      ['auto_subs', r => r.projectedAutoSubs.length],
+      ['degraded', 'degraded']
+    ],
+    rows: body => body.results.map(r => ({ ...r, gameweek: body.gameweek }))
+  }
+};
 
-// Vercel serverless function entry point
-module.exports = async (req, res) => {
+// Vercel serverless function entry point (tests pass their own client)
+module.exports = async (req, res, client = new FplClient()) => {
   console.log('--- FPL Live Standings Request ---');
   try {
     const leagueId = req.query.leagueId;
@@ -17,132 +40,95 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Please provide a leagueId parameter.' });
     }
 
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
     // Step 1: Fetch bootstrap + standings in parallel
     console.log('Step 1: Fetching bootstrap & league standings...');
-    const [bootstrapResponse, leagueResponse] = await Promise.all([
-      fetchWithRetry(BOOTSTRAP_URL),
-      fetchWithRetry(`${LEAGUE_API_URL}${leagueId}/standings/`)
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
     ]);
-    const bootstrapData = await bootstrapResponse.json();
-    const leagueData = await leagueResponse.json();
 
-    if (leagueData.detail === 'Not found.') {
+    if (!leagueData) {
       console.error('Error: League not found.');
       return res.status(404).json({ error: 'League not found. Please check the League ID.' });
     }
-
-    const currentGameweek = bootstrapData.events.find(event => event.is_current).id;
-    console.log(`Current Gameweek is: ${currentGameweek}`);
-
-    // Step 2: Get live player data for the current gameweek
-    console.log('Step 2: Fetching live player data...');
-    let livePlayerData = {};
-    try {
-      const liveResponse = await fetchWithRetry(`https://fantasy.premierleague.com/api/event/${currentGameweek}/live/`);
-      const liveData = await liveResponse.json();
-      livePlayerData = liveData.elements.reduce((acc, player) => {
-        acc[player.id] = player.stats.total_points;
-        return acc;
-      }, {});
-      console.log(`Live data fetched for ${Object.keys(livePlayerData).length} players`);
-    } catch (error) {
-      console.warn('Could not fetch live player data, will use static points:', error.message);
-    }
-
-    // Step 3: Get data for each manager and calculate live points
-    console.log('Step 3: Processing each manager...');
-    const liveStandings = [];
-
-    for (const manager of leagueData.standings.results) {
-      const managerId = manager.entry;
-      console.log(`Processing manager: ${manager.player_name} (ID: ${managerId})`);
-
-      try {
-        const currentGwResponse = await fetchWithRetry(`${TEAM_API_URL}${managerId}/event/${currentGameweek}/picks/`);
-        const currentGwData = await currentGwResponse.json();
-
-        let lastGameweekTotalPoints = 0;
-        if (currentGameweek > 1) {
-          try {
-            const previousGwResponse = await fetchWithRetry(`${TEAM_API_URL}${managerId}/event/${currentGameweek - 1}/picks/`);
-            const previousGwData = await previousGwResponse.json();
-            if (previousGwData.entry_history) {
-              lastGameweekTotalPoints = previousGwData.entry_history.total_points;
-            }
-          } catch (error) {
-            console.warn(`Could not fetch previous gameweek data for manager ${managerId}`);
-            const currentGwPoints = currentGwData.entry_history ? currentGwData.entry_history.points : 0;
-            const currentTotal = currentGwData.entry_history ? currentGwData.entry_history.total_points : manager.total;
-            lastGameweekTotalPoints = currentTotal - currentGwPoints;
-          }
-        }
-
-        const staticGwPoints = currentGwData.entry_history ? currentGwData.entry_history.points : 0;
-        const staticTotalPoints = currentGwData.entry_history ? currentGwData.entry_history.total_points : manager.total;
-
-        let liveGwPoints = staticGwPoints;
-        if (Object.keys(livePlayerData).length > 0 && currentGwData.picks) {
-          liveGwPoints = 0;
-          currentGwData.picks.forEach(pick => {
-            const playerLivePoints = livePlayerData[pick.element] || 0;
-            liveGwPoints += playerLivePoints * pick.multiplier;
-          });
-
-        }
-
-        const livePoints = staticTotalPoints - staticGwPoints + liveGwPoints;
-
-        liveStandings.push({
-          managerId: managerId,
-          managerName: manager.player_name,
-          teamName: manager.entry_name,
-          livePoints: livePoints,
-          pointsThisWeek: liveGwPoints,
-          lastGameweekTotalPoints: lastGameweekTotalPoints,
-          lastWeekPoints: manager.total
-        });
-
-        await sleep(100);
-
-      } catch (error) {
-        console.error(`Error fetching data for manager ${managerId}:`, error);
-        liveStandings.push({
-          managerId: managerId,
-          managerName: manager.player_name,
-          teamName: manager.entry_name,
-          livePoints: manager.total,
-          pointsThisWeek: 0,
-          lastGameweekTotalPoints: manager.total,
-          lastWeekPoints: manager.total
-        });
-      }
+    console.log(`Managers: ${leagueData.managers.length}${leagueData.truncated ? ' (capped)' : ''}`);
+
+    const currentEvent = bootstrapData.events.find(event => event.is_current);
+    if (!currentEvent) {
+      // Season hasn't started: list the league's new entries on 0 points
+      console.log('No current gameweek yet, returning pre-season entries.');
+      const results = leagueData.managers.map((manager, index) => ({
+        managerId: manager.entry,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        activeChip: null,
+        livePoints: 0,
+        pointsThisWeek: 0,
+        confirmedPoints: 0,
+        confirmedGwPoints: 0,
+        projectedPoints: 0,
+        projectedGwPoints: 0,
+        provisionalBonus: 0,
+        projectedAutoSubs: [],
+        projectedCaptain: null,
+        lastGameweekTotalPoints: 0,
+        lastWeekPoints: 0,
+        currentPosition: index + 1,
+        lastGameweekPosition: index + 1,
+        positionChange: 0,
+        changeDirection: 'same',
+        degraded: false
+      }));
+      return sendReport(res, report, `live-standings-${leagueId}-gw0`, {
+        gameweek: 0,
+        leagueName: leagueData.league ? leagueData.league.name : null,
+        leagueType,
+        managerCount: results.length,
+        truncated: leagueData.truncated,
+        results,
+        warnings: [],
+        errors: []
+      });
     }
 
-    // Step 4: Calculate last gameweek positions and position changes
-    console.log('Step 4: Calculating positions and changes...');
-    const lastGameweekStandings = [...liveStandings].sort((a, b) => b.lastGameweekTotalPoints - a.lastGameweekTotalPoints);
-    const lastGameweekPositions = new Map();
-    lastGameweekStandings.forEach((manager, index) => {
-      lastGameweekPositions.set(manager.managerId, index + 1);
-    });
+    const currentGameweek = currentEvent.id;
+    console.log(`Current Gameweek is: ${currentGameweek}`);
+    const issues = createIssueLog(leagueData.managers);
 
-    liveStandings.sort((a, b) => b.livePoints - a.livePoints);
+    // Step 2: Get live player data and fixture status for the current gameweek
+    console.log('Step 2: Fetching live player data & fixtures...');
+    const liveGameweek = await loadLiveGameweek(client, bootstrapData, currentGameweek, issues);
 
-    const results = liveStandings.map((manager, index) => {
-      const currentPosition = index + 1;
-      const lastGameweekPosition = lastGameweekPositions.get(manager.managerId) || currentPosition;
-      const positionChange = lastGameweekPosition - currentPosition;
-      return {
-        ...manager,
-        currentPosition,
-        lastGameweekPosition,
-        positionChange,
-        changeDirection: positionChange > 0 ? 'up' : positionChange < 0 ? 'down' : 'same'
-      };
-    });
+    // Step 3: Score each manager's picks and rank the league
+    console.log('Step 3: Processing each manager & calculating positions...');
+    const { results } = await buildLiveStandings(client, bootstrapData, leagueData, liveGameweek, issues);
 
     console.log('--- Request Complete ---');
-    res.status(200).json({ gameweek: currentGameweek, results });
+    sendReport(res, report, `live-standings-${leagueId}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      leagueName: leagueData.league ? leagueData.league.name : null,
+      leagueType,
+      managerCount: results.length,
+      truncated: leagueData.truncated,
+      results,
+      ...issues.report(),
+      cache: client.cacheSummary()
+    });
 
   } catch (error) {
     console.error('An unhandled error occurred:', error);
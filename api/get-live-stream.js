@@ -0,0 +1,145 @@
+// api/get-live-stream.js
+// Server-sent events for the gameweek in progress: one poll loop per league
+// recomputes the live standings and pushes what changed (points, positions, and
+// goals, assists and bonus for players owned in the league) to every open stream.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadLiveGameweek, buildLiveStandings } = require('./_lib/live');
+const { createLiveHub } = require('./_lib/stream');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// Close before the platform's function time limit; EventSource reconnects on its own
+const STREAM_DURATION_MS = 4 * 60 * 1000;
+const HEARTBEAT_MS = 20 * 1000;
+const RECONNECT_MS = 5000;
+
+const hub = createLiveHub();
+
+/**
+ * Build one snapshot of a league's live gameweek for the hub. `players` carries the
+ * running goal, assist and bonus counts (provisional bonus until it is confirmed) of
+ * every player picked in the league, and `owners` who picked them.
+ */
+const loadSnapshot = async (client, leagueId, maxManagers, leagueType) => {
+  const [bootstrapData, leagueData] = await Promise.all([
+    client.bootstrap(),
+    client.leagueManagers(leagueId, maxManagers, leagueType)
+  ]);
+  if (!leagueData) throw new Error(`League ${leagueId} not found`);
+  const leagueName = leagueData.league ? leagueData.league.name : null;
+
+  const currentEvent = bootstrapData.events.find(event => event.is_current);
+  if (!currentEvent) {
+    return { gameweek: 0, live: false, leagueName, results: [], players: {}, owners: new Map(), warnings: [], errors: [] };
+  }
+
+  const issues = createIssueLog(leagueData.managers);
+  const liveGameweek = await loadLiveGameweek(client, bootstrapData, currentEvent.id, issues);
+  const { results, picksByManager } = await buildLiveStandings(client, bootstrapData, leagueData, liveGameweek, issues);
+
+  const owners = new Map();
+  for (const [managerId, picksData] of Object.entries(picksByManager)) {
+    for (const pick of picksData.picks || []) {
+      if (!owners.has(pick.element)) owners.set(pick.element, []);
+      owners.get(pick.element).push(parseInt(managerId));
+    }
+  }
+  const names = {};
+  for (const el of bootstrapData.elements) names[el.id] = el.web_name;
+  const players = {};
+  for (const element of owners.keys()) {
+    const data = liveGameweek.livePlayerData[element];
+    if (!data) continue;
+    players[element] = {
+      name: names[element] || null,
+      goalsScored: data.goalsScored,
+      assists: data.assists,
+      bonus: data.bonus || liveGameweek.provisionalBonus[element] || 0
+    };
+  }
+
+  return {
+    gameweek: currentEvent.id,
+    live: !currentEvent.finished,
+    leagueName,
+    results,
+    players,
+    owners,
+    ...issues.report()
+  };
+};
+
+// Resolves once the stream has closed, from either end
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Live Stream Request ---');
+  let leagueId;
+  let maxManagers;
+  let leagueType;
+  try {
+    leagueId = req.query.leagueId;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    // Fail fast with a 404 rather than opening a stream for an unknown league
+    if (!(await client.leagueManagers(leagueId, maxManagers, leagueType))) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies such as nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  return new Promise(resolve => {
+    let closed = false;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let deadline = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      res.end();
+      console.log('--- Live Stream Closed ---');
+      resolve();
+    };
+
+    const send = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // Nothing more will come for this league until a gameweek starts
+      if (event === 'end') close();
+    };
+
+    req.on('close', close);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    deadline = setTimeout(close, STREAM_DURATION_MS);
+    unsubscribe = hub.subscribe(
+      `${leagueId}:${leagueType}:${maxManagers}`,
+      () => loadSnapshot(client, leagueId, maxManagers, leagueType),
+      send
+    );
+  });
+};
@@ -0,0 +1,273 @@
+// api/get-manager-profile.js
+// One manager's season for the profile view: GW-by-GW points and ranks, squad value
+// and bank, every transfer and chip (chips scored as in get-chips), their top
+// contributors (counted as in get-season-data, from this manager's picks alone) and
+// their current squad. Combines /entry/{id}/history/, transfers and picks.
+const { parseManagerCap, parseLeagueType, resolveAutoSubs } = require('./_lib/fpl');
+const { loadFinishedLiveData } = require('./_lib/season');
+const { loadLiveGameweek } = require('./_lib/live');
+const { managerSeasonState, summariseSeason } = require('./_lib/snapshots');
+const { CHIP_NAMES, scoreChip } = require('./_lib/chips');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog, loadPicks } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// FPL quotes prices, squad value and bank in tenths of a million
+const millions = (tenths) => (typeof tenths === 'number' ? tenths / 10 : null);
+
+// Tables available as ?format=csv&table=<name>; every row carries the manager
+const withManager = (key) => body => body[key].map(row => ({ ...body.manager, ...row }));
+const CSV_TABLES = {
+  gameweeks: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['points', 'points'],
+      ['total_points', 'totalPoints'],
+      ['gameweek_rank', 'rank'],
+      ['overall_rank', 'overallRank'],
+      ['value', 'value'],
+      ['bank', 'bank'],
+      ['transfers', 'transfers'],
+      ['hits', 'hits'],
+      ['bench_points', 'benchPoints'],
+      ['chip', 'chip'],
+      ['captain_id', r => (r.captain ? r.captain.element : null)],
+      ['captain_name', r => (r.captain ? r.captain.name : null)],
+      ['captain_points', r => (r.captain ? r.captain.points : null)]
+    ],
+    rows: withManager('gameweeks')
+  },
+  transfers: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['time', 'time'],
+      ['element_in', 'elementIn'],
+      ['name_in', 'nameIn'],
+      ['cost_in', 'costIn'],
+      ['element_out', 'elementOut'],
+      ['name_out', 'nameOut'],
+      ['cost_out', 'costOut'],
+      ['chip', 'chip']
+    ],
+    rows: withManager('transfers')
+  },
+  chips: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['chip', 'chip'],
+      ['chip_name', 'name'],
+      ['in_progress', 'inProgress'],
+      ['points', 'points'],
+      ['counterfactual_points', 'counterfactualPoints'],
+      ['gain', 'gain']
+    ],
+    rows: withManager('chips')
+  },
+  contributions: {
+    columns: [
+      ['gameweek', 'gameweek'],
+      ...MANAGER_COLUMNS,
+      ['player_id', 'id'],
+      ['player_name', 'name'],
+      ['position', 'position'],
+      ['points', 'points']
+    ],
+    rows: body => body.contributions.map(p => ({ ...body.manager, ...p, gameweek: body.gameweek }))
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Manager Profile Request ---');
+  try {
+    const { leagueId, managerId } = req.query;
+    if (!leagueId || !managerId) {
+      return res.status(400).json({ error: 'leagueId and managerId are required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel, then the member's history + transfers
+    console.log('Step 1: Fetching bootstrap, standings, history & transfers...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+    const member = leagueData.managers.find(m => m.entry === Number(managerId));
+    if (!member) {
+      return res.status(404).json({ error: 'Manager not found in this league.' });
+    }
+    const [historyData, transfersData] = await Promise.all([
+      client.history(member.entry),
+      client.transfers(member.entry)
+    ]);
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    const currentGameweek = currentEvent ? currentEvent.id : 0;
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    const inProgressGW = currentEvent && !currentEvent.finished ? currentGameweek : null;
+    const elementTypes = {};
+    const playerNames = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+      playerNames[el.id] = el.web_name;
+    }
+    const nameOf = (element) => playerNames[element] ?? null;
+
+    // Step 2: Picks for every GW so far and live data to score them
+    console.log('Step 2: Fetching picks & live data...');
+    const issues = createIssueLog([member]);
+    const gameweeks = [];
+    for (let gw = 1; gw <= currentGameweek; gw++) gameweeks.push(gw);
+    const [picksResponses, gwPlayerData, liveGameweek] = await Promise.all([
+      Promise.all(gameweeks.map(gw => loadPicks(client, member.entry, gw, { finished: finishedGWs.includes(gw), issues }))),
+      loadFinishedLiveData(client, finishedGWs),
+      inProgressGW ? loadLiveGameweek(client, bootstrapData, inProgressGW, issues) : null
+    ]);
+    if (liveGameweek) gwPlayerData[inProgressGW] = liveGameweek.livePlayerData;
+    const picksByGW = {};
+    gameweeks.forEach((gw, i) => { picksByGW[gw] = picksResponses[i]; });
+
+    // Step 3: Build the profile
+    console.log('Step 3: Building profile...');
+    const chipByGW = new Map((historyData.chips || []).map(c => [c.event, c.name]));
+
+    const gameweekRows = (historyData.current || []).map(h => {
+      const picksData = picksByGW[h.event];
+      const gwData = gwPlayerData[h.event] || {};
+      let captain = null;
+      if (picksData) {
+        const resolved = resolveAutoSubs(picksData.picks, gwData, { elementTypes, activeChip: picksData.active_chip }).captain;
+        if (resolved) {
+          const points = gwData[resolved.element] ? gwData[resolved.element].points : 0;
+          captain = { element: resolved.element, name: nameOf(resolved.element), points: points * resolved.multiplier };
+        }
+      }
+      return {
+        gw: h.event,
+        points: h.points,
+        totalPoints: h.total_points,
+        rank: h.rank,
+        overallRank: h.overall_rank,
+        value: millions(h.value),
+        bank: millions(h.bank),
+        transfers: h.event_transfers,
+        hits: h.event_transfers_cost,
+        benchPoints: h.points_on_bench,
+        chip: chipByGW.get(h.event) || null,
+        captain
+      };
+    });
+
+    const transfers = transfersData
+      .map(t => ({
+        gw: t.event,
+        time: t.time,
+        elementIn: t.element_in,
+        nameIn: nameOf(t.element_in),
+        costIn: millions(t.element_in_cost),
+        elementOut: t.element_out,
+        nameOut: nameOf(t.element_out),
+        costOut: millions(t.element_out_cost),
+        // Wildcard and Free Hit transfers cost no hits
+        chip: ['wildcard', 'freehit'].includes(chipByGW.get(t.event)) ? chipByGW.get(t.event) : null
+      }))
+      .sort((a, b) => a.gw - b.gw || String(a.time).localeCompare(String(b.time)));
+
+    // Each chip against the same GW without it; the squad replaced is the last GW
+    // that was not itself a Free Hit
+    const chips = (historyData.chips || []).map(c => {
+      const picksData = picksByGW[c.event];
+      const inProgress = c.event === inProgressGW;
+      if (!picksData) {
+        const name = CHIP_NAMES[c.name] || c.name;
+        return { gw: c.event, inProgress, chip: c.name, name, points: null, counterfactualPoints: null, gain: null };
+      }
+      let previous = null;
+      for (let prevGW = c.event - 1; prevGW >= 1 && !previous; prevGW--) {
+        const prevPicks = picksByGW[prevGW];
+        if (prevPicks && prevPicks.active_chip !== 'freehit') previous = prevPicks;
+      }
+      return {
+        gw: c.event,
+        inProgress,
+        ...scoreChip(picksData, previous, gwPlayerData[c.event] || {}, { elementTypes })
+      };
+    }).sort((a, b) => a.gw - b.gw);
+
+    // Finished GWs only, as in the season snapshot
+    const season = { managers: { [member.entry]: managerSeasonState(picksByGW, gwPlayerData, finishedGWs, elementTypes) } };
+    const [{ players: contributions }] = summariseSeason(season, [member], bootstrapData).playerContributions.managers;
+
+    const currentPicks = picksByGW[currentGameweek];
+    const squad = currentPicks
+      ? currentPicks.picks.map(p => ({
+        element: p.element,
+        name: nameOf(p.element),
+        position: p.position,
+        elementType: elementTypes[p.element] || null,
+        multiplier: p.multiplier,
+        isCaptain: p.is_captain,
+        isViceCaptain: p.is_vice_captain
+      }))
+      : [];
+
+    const latest = gameweekRows[gameweekRows.length - 1] || null;
+    const manager = {
+      managerId: member.entry,
+      managerName: member.player_name,
+      teamName: member.entry_name,
+      leagueRank: member.rank ?? null,
+      totalPoints: member.total,
+      overallRank: latest ? latest.overallRank : null,
+      value: latest ? latest.value : null,
+      bank: latest ? latest.bank : null,
+      transferCount: transfers.length,
+      hits: gameweekRows.reduce((sum, g) => sum + g.hits, 0)
+    };
+
+    const cacheSummary = client.cacheSummary();
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+    console.log('--- Manager Profile Request Complete ---');
+    return sendReport(res, report, `profile-${leagueId}-${member.entry}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      leagueType,
+      manager,
+      gameweeks: gameweekRows,
+      transfers,
+      chips,
+      contributions,
+      squad,
+      pastSeasons: (historyData.past || []).map(p => ({
+        season: p.season_name,
+        totalPoints: p.total_points,
+        overallRank: p.rank
+      })),
+      ...issues.report(),
+      cache: cacheSummary
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
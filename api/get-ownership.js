@@ -0,0 +1,201 @@
+// api/get-ownership.js
+// League ownership for a gameweek (ownership %, captaincy %, effective ownership),
+// each manager's differential points across the season, and, while a gameweek is in
+// progress, the players in other teams that threaten each manager's rank.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadFinishedLiveData, loadFinishedPicks, loadGameweekPicks } = require('./_lib/season');
+const { loadLiveGameweek } = require('./_lib/live');
+const { ownershipStats, differentialPoints, rankThreats } = require('./_lib/ownership');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+const DEFAULT_DIFFERENTIAL_THRESHOLD = 20;
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  ownership: {
+    columns: [
+      ['gameweek', 'gameweek'],
+      ['player_id', 'element'],
+      ['player_name', 'name'],
+      ['position', 'position'],
+      ['owners', 'owners'],
+      ['ownership', 'ownership'],
+      ['captains', 'captains'],
+      ['captaincy', 'captaincy'],
+      ['effective_ownership', 'effectiveOwnership'],
+      ['points', 'points']
+    ],
+    rows: body => body.ownership.map(r => ({ ...r, gameweek: body.gameweek }))
+  },
+  differentials: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['threshold', 'threshold'],
+      ['points', 'points'],
+      ['differential_points', 'differentialPoints']
+    ],
+    rows: body => body.managers.flatMap(({ gameweeks, ...manager }) =>
+      gameweeks.map(g => ({ ...manager, ...g, threshold: body.threshold })))
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Ownership Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    const threshold = req.query.threshold === undefined
+      ? DEFAULT_DIFFERENTIAL_THRESHOLD
+      : Number(req.query.threshold);
+    if (!(threshold > 0 && threshold <= 100)) {
+      return res.status(400).json({ error: 'threshold must be a percentage between 0 and 100.' });
+    }
+
+    const requestedGW = req.query.gameweek === undefined || req.query.gameweek === '' ? null : Number(req.query.gameweek);
+    if (requestedGW !== null && (!Number.isInteger(requestedGW) || requestedGW < 1)) {
+      return res.status(400).json({ error: 'gameweek must be a positive integer.' });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    const currentGameweek = currentEvent ? currentEvent.id : 0;
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    const inProgressGW = currentEvent && !currentEvent.finished ? currentGameweek : null;
+    const gameweeks = inProgressGW ? [...finishedGWs, inProgressGW] : finishedGWs;
+
+    if (requestedGW !== null && !gameweeks.includes(requestedGW)) {
+      return res.status(400).json({ error: 'gameweek must be a finished or in-progress gameweek.' });
+    }
+    const gameweek = requestedGW ?? (gameweeks[gameweeks.length - 1] || 0);
+
+    const elementTypes = {};
+    const playerInfo = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+      playerInfo[el.id] = { name: el.web_name, position: el.element_type };
+    }
+    const managerIds = leagueData.managers.map(m => m.entry);
+    console.log(`Managers: ${managerIds.length}, GWs: ${gameweeks.length}, Threshold: ${threshold}%`);
+
+    // Step 2: Live data + picks for every finished GW, and the GW in progress
+    console.log('Step 2: Fetching live GW data & picks...');
+    const issues = createIssueLog(leagueData.managers);
+    const gwPlayerData = await loadFinishedLiveData(client, finishedGWs);
+    const picksByManager = await loadFinishedPicks(client, managerIds, finishedGWs, { issues });
+    if (inProgressGW) {
+      const liveGameweek = await loadLiveGameweek(client, bootstrapData, inProgressGW, issues);
+      gwPlayerData[inProgressGW] = liveGameweek.livePlayerData;
+      const livePicks = await loadGameweekPicks(client, managerIds, inProgressGW, { issues });
+      for (const managerId of managerIds) {
+        picksByManager[managerId][inProgressGW] = livePicks[managerId];
+      }
+    }
+
+    // Step 3: League ownership per GW
+    console.log('Step 3: Computing ownership...');
+    const ownershipByGW = {};
+    for (const gw of gameweeks) {
+      ownershipByGW[gw] = ownershipStats(managerIds.map(id => picksByManager[id][gw]));
+    }
+
+    const selected = ownershipByGW[gameweek];
+    const ownership = selected
+      ? [...selected.players.entries()]
+        .map(([element, stats]) => {
+          const info = playerInfo[element] || { name: `Player ${element}`, position: 0 };
+          const data = gwPlayerData[gameweek][element];
+          return {
+            element,
+            name: info.name,
+            position: info.position,
+            owners: stats.owners,
+            ownership: stats.ownership,
+            captains: stats.captains,
+            captaincy: stats.captaincy,
+            effectiveOwnership: stats.effectiveOwnership,
+            points: data ? data.points : 0
+          };
+        })
+        .sort((a, b) => b.effectiveOwnership - a.effectiveOwnership || b.ownership - a.ownership || a.element - b.element)
+      : [];
+
+    // Step 4: Differential points per manager, and live threats
+    console.log('Step 4: Computing differentials & threats...');
+    const managers = leagueData.managers.map(manager => {
+      const perGW = [];
+      for (const gw of gameweeks) {
+        const result = differentialPoints(picksByManager[manager.entry][gw], gwPlayerData[gw], ownershipByGW[gw], {
+          threshold,
+          elementTypes
+        });
+        if (result) perGW.push({ gw, ...result });
+      }
+
+      const threats = inProgressGW
+        ? rankThreats(picksByManager[manager.entry][inProgressGW], ownershipByGW[inProgressGW], gwPlayerData[inProgressGW])
+          .map(t => ({ ...t, name: playerInfo[t.element] ? playerInfo[t.element].name : null }))
+        : [];
+
+      return {
+        managerId: manager.entry,
+        managerName: manager.player_name,
+        teamName: manager.entry_name,
+        differentialPoints: perGW.reduce((sum, g) => sum + g.differentialPoints, 0),
+        gameweeks: perGW,
+        threats
+      };
+    }).sort((a, b) => b.differentialPoints - a.differentialPoints);
+
+    const cacheSummary = client.cacheSummary();
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+    console.log('--- Ownership Request Complete ---');
+    return sendReport(res, report, `ownership-${leagueId}-gw${gameweek}`, {
+      gameweek,
+      currentGameweek,
+      threatsGameweek: inProgressGW,
+      leagueType,
+      managerCount: managers.length,
+      truncated: leagueData.truncated,
+      threshold,
+      ownership,
+      managers,
+      ...issues.report(),
+      cache: cacheSummary
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
@@ -0,0 +1,227 @@
+// api/get-projections.js
+// Forward projections: each manager's current XI projected over the coming gameweeks
+// from form, points per game, availability flags and fixture difficulty, and a Monte
+// Carlo simulation of where the league finishes. The gameweek in progress is taken as
+// it stands (standings totals); projection starts with the next one. H2H leagues are
+// ranked on points too, not H2H points. Every place's odds are returned per manager,
+// so a league is simulated for its top DEFAULT_MAX_MANAGERS unless maxManagers says
+// otherwise, up to MAX_MANAGERS.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadGameweekPicks } = require('./_lib/season');
+const { fixturesByTeam, projectPlayer, projectedXI, createRandom, simulateFinishes } = require('./_lib/projections');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+const DEFAULT_SIMULATIONS = 10000;
+const MIN_SIMULATIONS = 100;
+const MAX_SIMULATIONS = 50000;
+const DEFAULT_MAX_MANAGERS = 50;
+const MAX_MANAGERS = 200;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Tables available as ?format=csv&table=<name>
+const CSV_TABLES = {
+  projections: {
+    columns: [
+      ['gameweek', 'gameweek'],
+      ...MANAGER_COLUMNS,
+      ['current_position', 'currentPosition'],
+      ['current_points', 'currentPoints'],
+      ['projected_points', 'projectedPoints'],
+      ['expected_points', 'expectedPoints'],
+      ['expected_position', 'expectedPosition'],
+      ['title_probability', 'titleProbability'],
+      ['relegation_probability', 'relegationProbability']
+    ],
+    rows: body => body.managers.map(m => ({ ...m, gameweek: body.gameweek }))
+  },
+  positions: {
+    columns: [['gameweek', 'gameweek'], ...MANAGER_COLUMNS, ['position', 'position'], ['probability', 'probability']],
+    rows: body => body.managers.flatMap(({ positions, ...manager }) =>
+      positions.map((probability, i) => ({ ...manager, gameweek: body.gameweek, position: i + 1, probability })))
+  }
+};
+
+// Optional positive integer query parameter: `fallback` when absent, null when invalid
+const parseCount = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const count = Number(value);
+  return Number.isInteger(count) && count > 0 ? count : null;
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Projections Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const requestedCap = parseManagerCap(req.query.maxManagers);
+    if (requestedCap === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+    if (requestedCap !== Infinity && requestedCap > MAX_MANAGERS) {
+      return res.status(400).json({ error: `maxManagers must be at most ${MAX_MANAGERS} for projections.` });
+    }
+    const maxManagers = requestedCap === Infinity ? DEFAULT_MAX_MANAGERS : requestedCap;
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    // Default: the rest of the season
+    const horizonLength = parseCount(req.query.gameweeks, Infinity);
+    if (horizonLength === null) {
+      return res.status(400).json({ error: 'gameweeks must be a positive integer.' });
+    }
+
+    const simulations = parseCount(req.query.simulations, DEFAULT_SIMULATIONS);
+    if (simulations === null || simulations < MIN_SIMULATIONS || simulations > MAX_SIMULATIONS) {
+      return res.status(400).json({ error: `simulations must be an integer between ${MIN_SIMULATIONS} and ${MAX_SIMULATIONS}.` });
+    }
+
+    // A seed repeats a simulation exactly; without one every request draws afresh
+    const seed = req.query.seed === undefined || req.query.seed === ''
+      ? Math.floor(Math.random() * 2 ** 32)
+      : Number(req.query.seed);
+    if (!Number.isInteger(seed) || seed < 0) {
+      return res.status(400).json({ error: 'seed must be a non-negative integer.' });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const currentEvent = bootstrapData.events.find(e => e.is_current);
+    const currentGameweek = currentEvent ? currentEvent.id : 0;
+    const gameweeks = bootstrapData.events
+      .filter(e => e.id > currentGameweek && !e.finished)
+      .map(e => e.id)
+      .sort((a, b) => a - b)
+      .slice(0, horizonLength);
+    console.log(`Current GW: ${currentGameweek}, projecting GW${gameweeks.join(', GW') || ' none'}`);
+
+    // Step 2: Fixtures for the horizon + every manager's current squad
+    console.log('Step 2: Fetching fixtures & current picks...');
+    const issues = createIssueLog(leagueData.managers);
+    const [fixtures, picksByManager] = await Promise.all([
+      gameweeks.length > 0 ? client.fixtures() : [],
+      currentGameweek > 0
+        ? loadGameweekPicks(client, leagueData.managers.map(m => m.entry), currentGameweek, {
+          finished: currentEvent.finished,
+          issues
+        })
+        : {}
+    ]);
+
+    // A Free Hit squad is gone next GW: project the squad it replaced instead
+    const freeHitters = Object.keys(picksByManager)
+      .filter(id => picksByManager[id] && picksByManager[id].active_chip === 'freehit')
+      .map(Number);
+    if (freeHitters.length > 0 && currentGameweek > 1) {
+      const reverted = await loadGameweekPicks(client, freeHitters, currentGameweek - 1, { finished: true, issues });
+      Object.assign(picksByManager, reverted);
+    }
+
+    // Step 3: Project every player picked in the league
+    console.log('Step 3: Projecting players...');
+    const teamFixtures = fixturesByTeam(fixtures, gameweeks);
+    const elements = new Map(bootstrapData.elements.map(el => [el.id, el]));
+    const teams = new Map((bootstrapData.teams || []).map(t => [t.id, t.short_name]));
+
+    // Current standings order, on points
+    const standings = [...leagueData.managers]
+      .sort((a, b) => b.total - a.total)
+      .map((manager, index) => {
+        const picksData = picksByManager[manager.entry];
+        return {
+          managerId: manager.entry,
+          managerName: manager.player_name,
+          teamName: manager.entry_name,
+          currentPosition: index + 1,
+          currentPoints: manager.total,
+          xi: picksData ? projectedXI(picksData.picks) : []
+        };
+      });
+
+    const players = new Map();
+    for (const { xi } of standings) {
+      for (const { element } of xi) {
+        if (players.has(element) || !elements.has(element)) continue;
+        players.set(element, projectPlayer(elements.get(element), teamFixtures));
+      }
+    }
+
+    // Step 4: Simulate the rest of the horizon
+    console.log(`Step 4: Simulating ${simulations} finishes (seed ${seed})...`);
+    const finishes = simulateFinishes(standings, players, { simulations, random: createRandom(seed) });
+
+    const managers = standings.map((manager, m) => {
+      const finish = finishes[m];
+      const xi = manager.xi.map(({ element, multiplier }) => {
+        const projection = players.get(element) || { expected: 0, fixtures: [] };
+        return {
+          element,
+          name: elements.has(element) ? elements.get(element).web_name : null,
+          multiplier,
+          expectedPoints: round(projection.expected * multiplier),
+          fixtures: projection.fixtures.map(f => ({
+            gw: f.gw,
+            opponent: teams.get(f.opponent) || null,
+            home: f.home,
+            difficulty: f.difficulty
+          }))
+        };
+      });
+      return {
+        managerId: manager.managerId,
+        managerName: manager.managerName,
+        teamName: manager.teamName,
+        currentPosition: manager.currentPosition,
+        currentPoints: manager.currentPoints,
+        projectedPoints: round(xi.reduce((sum, p) => sum + p.expectedPoints, 0)),
+        expectedPoints: round(finish.expectedPoints),
+        expectedPosition: round(finish.expectedPosition, 2),
+        titleProbability: finish.positions[0],
+        relegationProbability: finish.positions[finish.positions.length - 1],
+        positions: finish.positions,
+        xi
+      };
+    }).sort((a, b) => a.expectedPosition - b.expectedPosition || a.currentPosition - b.currentPosition);
+
+    console.log('--- Projections Request Complete ---');
+    return sendReport(res, report, `projections-${leagueId}-gw${currentGameweek}`, {
+      gameweek: currentGameweek,
+      gameweeks,
+      simulations,
+      seed,
+      leagueName: leagueData.league ? leagueData.league.name : null,
+      leagueType,
+      managerCount: managers.length,
+      truncated: leagueData.truncated,
+      managers,
+      ...issues.report(),
+      cache: client.cacheSummary()
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
@@ -0,0 +1,116 @@
+// api/get-rank-history.js
+// League position of every manager at the end of every finished gameweek, built from
+// entry_history.total_points, for the season bump chart.
+const { parseManagerCap, parseLeagueType } = require('./_lib/fpl');
+const { loadFinishedPicks } = require('./_lib/season');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { createIssueLog } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
+
+// Tables available as ?format=csv&table=<name>: one row per manager × finished GW
+const CSV_TABLES = {
+  history: {
+    columns: [
+      ['gameweek', 'gw'],
+      ...MANAGER_COLUMNS,
+      ['total_points', 'totalPoints'],
+      ['rank', 'rank']
+    ],
+    rows: body => body.managers.flatMap(({ history, ...manager }) =>
+      history.map(h => ({ ...manager, ...h })))
+  }
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- FPL Rank History Request ---');
+  try {
+    const { leagueId } = req.query;
+    if (!leagueId) {
+      return res.status(400).json({ error: 'leagueId is required.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const report = parseReportOptions(req.query, CSV_TABLES);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    console.log(`Managers: ${leagueData.managers.length}, Finished GWs: ${finishedGWs.length}`);
+
+    // Step 2: Picks for every manager × finished GW (entry_history carries the totals)
+    console.log('Step 2: Fetching all manager picks...');
+    const issues = createIssueLog(leagueData.managers);
+    const picksByManager = await loadFinishedPicks(client, leagueData.managers.map(m => m.entry), finishedGWs, { issues });
+
+    // Step 3: Rank the league after each GW. Managers without a team yet are unranked;
+    // equal totals share a position. H2H leagues are ranked on points too, not H2H points.
+    console.log('Step 3: Ranking each gameweek...');
+    const managers = leagueData.managers.map(m => ({
+      managerId: m.entry,
+      managerName: m.player_name,
+      teamName: m.entry_name,
+      history: []
+    }));
+
+    for (const gw of finishedGWs) {
+      const totals = managers.map(m => {
+        const picksData = picksByManager[m.managerId][gw];
+        return picksData && picksData.entry_history ? picksData.entry_history.total_points : null;
+      });
+      const ranked = totals.filter(t => t !== null);
+      managers.forEach((m, i) => {
+        const totalPoints = totals[i];
+        m.history.push({
+          gw,
+          totalPoints,
+          rank: totalPoints === null ? null : 1 + ranked.filter(t => t > totalPoints).length
+        });
+      });
+    }
+
+    // Latest standings first; managers without a rank go last
+    const latestRank = (m) => {
+      const last = m.history[m.history.length - 1];
+      return last && last.rank !== null ? last.rank : Infinity;
+    };
+    managers.sort((a, b) => latestRank(a) - latestRank(b));
+
+    const cacheSummary = client.cacheSummary();
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+    console.log('--- Rank History Request Complete ---');
+    return sendReport(res, report, `rank-history-${leagueId}`, {
+      gameweeks: finishedGWs,
+      leagueType,
+      managerCount: managers.length,
+      truncated: leagueData.truncated,
+      managers,
+      ...issues.report(),
+      cache: cacheSummary
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
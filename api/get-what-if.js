@@ -1,78 +1,503 @@
 // api/get-what-if.js
-const { fetchWithRetry, sleep, simulateAutoSubs } = require('./_lib/fpl');
+// What-if analysis. Three modes share the same picks/live loading:
+//  - branches (default): freeze one manager's squad at each transfer GW, optionally
+//    against a comparison squad (another league member's team or the league template);
+//  - captaincy: points lost to captaincy choices across the whole league;
+//  - transfers: net gain of every transfer made in the league.
+const { parseManagerCap, parseLeagueType, simulateAutoSubs } = require('./_lib/fpl');
+const { mostCaptainedPlayer, scoreCaptaincy } = require('./_lib/captaincy');
+const { evaluateTransfers } = require('./_lib/transfers');
+const { templateSquad } = require('./_lib/ownership');
+const { loadGameweekPicks } = require('./_lib/season');
+const { MANAGER_COLUMNS, parseReportOptions, sendReport } = require('./_lib/csv');
+const { REASONS, createIssueLog, loadPicks } = require('./_lib/issues');
+const { FplClient } = require('./_lib/client');
 
-const BOOTSTRAP_URL = 'https://fantasy.premierleague.com/api/bootstrap-static/';
-const LEAGUE_API_URL = 'https://fantasy.premierleague.com/api/leagues-classic/';
-const TEAM_API_URL = 'https://fantasy.premierleague.com/api/entry/';
-const LIVE_API_URL = 'https://fantasy.premierleague.com/api/event/';
+const MODES = ['branches', 'captaincy', 'transfers'];
 
-module.exports = async (req, res) => {
+const choiceColumns = (prefix, key) => [
+  [`${prefix}_id`, r => (r[key] ? r[key].element : null)],
+  [`${prefix}_name`, r => (r[key] ? r[key].name : null)],
+  [`${prefix}_points`, r => (r[key] ? r[key].points : null)]
+];
+
+// Tables available per mode as ?format=csv&table=<name>
+const CSV_TABLES = {
+  // One row per GW of the actual season, each freeze branch and the comparison
+  branches: {
+    branches: {
+      columns: [
+        ['gameweek', 'gw'],
+        ['manager_id', 'managerId'],
+        ['branch', 'branch'],
+        ['freeze_gameweek', 'freezeGW'],
+        ['total_points', 'points']
+      ],
+      rows: body => [
+        ...body.actual.map(a => ({ ...a, managerId: body.managerId, branch: 'actual', freezeGW: null })),
+        ...body.branches.flatMap(b => b.data.map(d => ({ ...d, managerId: body.managerId, branch: b.label, freezeGW: b.freezeGW }))),
+        ...(body.comparison ? body.comparison.data : []).map(d => ({
+          ...d, managerId: body.managerId, branch: body.comparison.label, freezeGW: body.comparison.compareGW
+        }))
+      ]
+    }
+  },
+  // One row per manager × GW
+  captaincy: {
+    captaincy: {
+      columns: [
+        ['gameweek', 'gw'],
+        ...MANAGER_COLUMNS,
+        ...choiceColumns('captain', 'captain'),
+        ['multiplier', 'multiplier'],
+        ...choiceColumns('best', 'best'),
+        ...choiceColumns('vice', 'vice'),
+        ...choiceColumns('most_captained', 'mostCaptained'),
+        ['lost', 'lost'],
+        ['vice_delta', 'viceDelta'],
+        ['most_captained_delta', 'mostCaptainedDelta'],
+        ['cumulative_lost', 'cumulativeLost']
+      ],
+      rows: body => body.managers.flatMap(({ series, ...manager }) =>
+        series.map(g => ({ ...manager, ...g })))
+    }
+  },
+  // One row per transfer, ranked league-wide
+  transfers: {
+    transfers: {
+      columns: [
+        ['gameweek', 'gw'],
+        ['rank', 'rank'],
+        ...MANAGER_COLUMNS,
+        ['player_in_id', 'elementIn'],
+        ['player_in_name', 'nameIn'],
+        ['player_out_id', 'elementOut'],
+        ['player_out_name', 'nameOut'],
+        ['to_gameweek', 'toGW'],
+        ['points_in', 'pointsIn'],
+        ['points_out', 'pointsOut'],
+        ['gain', 'gain'],
+        ['hit_cost', 'hitCost'],
+        ['net', 'net'],
+        ['chip', 'chip']
+      ],
+      rows: body => body.ranking
+    }
+  }
+};
+
+// picksMap[gw] = picks response, or null if there are no usable picks that GW (why
+// is logged to `issues`)
+const loadPicksMap = async (client, managerId, gameweeks, finishedGWs, issues) => {
+  const picksMap = {};
+  const picksResponses = await Promise.all(gameweeks.map(gw =>
+    loadPicks(client, managerId, gw, { finished: finishedGWs.has(gw), issues })
+      .then(data => ({ gw, data }))
+  ));
+  for (const { gw, data } of picksResponses) {
+    picksMap[gw] = data;
+  }
+  return picksMap;
+};
+
+// gwPlayerData[gw][playerId] = { points, minutes }
+const loadGwPlayerData = async (client, gameweeks, finishedGWs) => {
+  const gwPlayerData = {};
+  const liveResponses = await Promise.all(gameweeks.map(gw =>
+    client.live(gw, { finished: finishedGWs.has(gw) })
+      .then(data => ({ gw, data }))
+  ));
+  for (const { gw, data } of liveResponses) {
+    gwPlayerData[gw] = {};
+    for (const el of data.elements) {
+      gwPlayerData[gw][el.id] = {
+        points: el.stats.total_points,
+        minutes: el.stats.minutes
+      };
+    }
+  }
+  return gwPlayerData;
+};
+
+/**
+ * Cumulative points from `fromGW` to `toGW` had a squad been held unchanged from
+ * `fromGW`, starting at `basePoints`, with auto-subs applied each GW. `activeChip`
+ * counts in `fromGW` only: afterwards a Triple Captain is a normal captain and a
+ * Bench Boost bench is a bench again. GWs without live data carry the total over.
+ * @returns {Array<{ gw, points }>}
+ */
+const simulateBranch = (picks, fromGW, toGW, { basePoints, activeChip = null, gwPlayerData, elementTypes }) => {
+  const normalizedPicks = picks.map(p => ({
+    ...p,
+    multiplier: p.position >= 12 ? 0 : (p.multiplier === 3 ? 2 : p.multiplier)
+  }));
+
+  const data = [];
+  let runningTotal = basePoints;
+  for (let gw = fromGW; gw <= toGW; gw++) {
+    if (!gwPlayerData[gw]) {
+      data.push({ gw, points: runningTotal });
+      continue;
+    }
+
+    const picksForGW = (gw === fromGW && activeChip) ? picks : normalizedPicks;
+    const effectiveLineup = simulateAutoSubs(picksForGW, gwPlayerData[gw], {
+      elementTypes,
+      activeChip: gw === fromGW ? activeChip : null
+    });
+
+    for (const player of effectiveLineup) {
+      const pData = gwPlayerData[gw][player.element];
+      runningTotal += (pData ? pData.points : 0) * player.multiplier;
+    }
+    data.push({ gw, points: runningTotal });
+  }
+  return data;
+};
+
+/**
+ * Captaincy regret for every manager in the league over the finished GWs: per-GW
+ * alternatives (best scorer in the XI, vice-captain, league's most-captained player),
+ * a cumulative "points lost" series, and a league ranking by total points lost.
+ * managerId is optional and only picks out one manager's entry as `manager`.
+ */
+const captaincyRegret = async (req, res, client, report) => {
+  const { leagueId, managerId } = req.query;
+  if (!leagueId) {
+    return res.status(400).json({ error: 'leagueId is required.' });
+  }
+
+  const maxManagers = parseManagerCap(req.query.maxManagers);
+  if (maxManagers === null) {
+    return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+  }
+
+  const leagueType = parseLeagueType(req.query.leagueType);
+  if (!leagueType) {
+    return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+  }
+
+  // Step 1: Fetch bootstrap + standings in parallel
+  console.log('Step 1: Fetching bootstrap & league standings...');
+  const [bootstrapData, leagueData] = await Promise.all([
+    client.bootstrap(),
+    client.leagueManagers(leagueId, maxManagers, leagueType)
+  ]);
+
+  if (!leagueData) {
+    return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+  }
+
+  const currentEvent = bootstrapData.events.find(e => e.is_current);
+  const currentGW = currentEvent ? currentEvent.id : 0;
+  const gameweeks = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+  const finishedGWs = new Set(gameweeks);
+  const elementTypes = {};
+  const playerNames = {};
+  for (const el of bootstrapData.elements) {
+    elementTypes[el.id] = el.element_type;
+    playerNames[el.id] = el.web_name;
+  }
+  console.log(`Managers: ${leagueData.managers.length}, Finished GWs: ${gameweeks.length}`);
+
+  // Step 2: Live player data for every finished GW
+  console.log('Step 2: Fetching live player data...');
+  const gwPlayerData = await loadGwPlayerData(client, gameweeks, finishedGWs);
+
+  // Step 3: Picks for every manager × finished GW
+  console.log('Step 3: Fetching picks for all managers...');
+  const issues = createIssueLog(leagueData.managers);
+  const picksByManager = {};
+  await Promise.all(leagueData.managers.map(async manager => {
+    picksByManager[manager.entry] = await loadPicksMap(client, manager.entry, gameweeks, finishedGWs, issues);
+  }));
+
+  // Step 4: Most-captained player per GW, then each manager's regret
+  console.log('Step 4: Scoring captaincy...');
+  const withName = (choice) => choice ? { ...choice, name: playerNames[choice.element] || null } : null;
+
+  const mostCaptained = gameweeks.map(gw => {
+    const top = mostCaptainedPlayer(leagueData.managers.map(m => picksByManager[m.entry][gw]));
+    return { gw, ...(top ? withName(top) : { element: null, count: 0, name: null }) };
+  });
+  const mostCaptainedByGW = new Map(mostCaptained.map(m => [m.gw, m.element ? m : null]));
+
+  const managers = leagueData.managers.map(manager => {
+    const series = [];
+    let cumulativeLost = 0;
+    let viceDelta = 0;
+    let mostCaptainedDelta = 0;
+    for (const gw of gameweeks) {
+      const result = scoreCaptaincy(picksByManager[manager.entry][gw], gwPlayerData[gw] || {}, {
+        elementTypes,
+        mostCaptained: mostCaptainedByGW.get(gw)
+      });
+      if (!result) continue;
+      cumulativeLost += result.lost;
+      viceDelta += result.viceDelta || 0;
+      mostCaptainedDelta += result.mostCaptainedDelta || 0;
+      series.push({
+        gw,
+        captain: withName(result.captain),
+        promotedFrom: result.promotedFrom,
+        multiplier: result.multiplier,
+        best: withName(result.best),
+        vice: withName(result.vice),
+        mostCaptained: withName(result.mostCaptained),
+        lost: result.lost,
+        viceDelta: result.viceDelta,
+        mostCaptainedDelta: result.mostCaptainedDelta,
+        cumulativeLost
+      });
+    }
+    return {
+      managerId: manager.entry,
+      managerName: manager.player_name,
+      teamName: manager.entry_name,
+      totalLost: cumulativeLost,
+      viceDelta,
+      mostCaptainedDelta,
+      series
+    };
+  });
+
+  // Fewest points lost ranks first; equal totals share a rank
+  managers.sort((a, b) => a.totalLost - b.totalLost || a.teamName.localeCompare(b.teamName));
+  managers.forEach(m => {
+    m.rank = 1 + managers.filter(other => other.totalLost < m.totalLost).length;
+  });
+
+  const cacheSummary = client.cacheSummary();
+  console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+  console.log('--- Request Complete ---');
+
+  return sendReport(res, report, `captaincy-${leagueId}-gw${currentGW}`, {
+    mode: 'captaincy',
+    currentGW,
+    gameweeks,
+    leagueName: leagueData.league ? leagueData.league.name : null,
+    managerCount: managers.length,
+    truncated: leagueData.truncated,
+    mostCaptained,
+    ranking: managers.map(m => ({
+      rank: m.rank,
+      managerId: m.managerId,
+      managerName: m.managerName,
+      teamName: m.teamName,
+      totalLost: m.totalLost
+    })),
+    managers,
+    manager: managerId ? managers.find(m => m.managerId === parseInt(managerId)) || null : null,
+    ...issues.report(),
+    cache: cacheSummary
+  });
+};
+
+/**
+ * Transfer hindsight for every manager in the league: each transfer's points in vs
+ * points out until either player was moved again, net of hits, ranked per manager
+ * and league-wide. Points run to the current GW (live points while it is in progress).
+ * managerId is optional and only picks out one manager's entry as `manager`.
+ */
+const transferHindsight = async (req, res, client, report) => {
+  const { leagueId, managerId } = req.query;
+  if (!leagueId) {
+    return res.status(400).json({ error: 'leagueId is required.' });
+  }
+
+  const maxManagers = parseManagerCap(req.query.maxManagers);
+  if (maxManagers === null) {
+    return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+  }
+
+  const leagueType = parseLeagueType(req.query.leagueType);
+  if (!leagueType) {
+    return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+  }
+
+  // Step 1: Fetch bootstrap + standings in parallel
+  console.log('Step 1: Fetching bootstrap & league standings...');
+  const [bootstrapData, leagueData] = await Promise.all([
+    client.bootstrap(),
+    client.leagueManagers(leagueId, maxManagers, leagueType)
+  ]);
+
+  if (!leagueData) {
+    return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+  }
+
+  const currentEvent = bootstrapData.events.find(e => e.is_current);
+  const currentGW = currentEvent ? currentEvent.id : 0;
+  const finishedGWs = new Set(bootstrapData.events.filter(e => e.finished).map(e => e.id));
+  const playerNames = {};
+  for (const el of bootstrapData.elements) {
+    playerNames[el.id] = el.web_name;
+  }
+  const gameweeks = [];
+  for (let gw = 1; gw <= currentGW; gw++) gameweeks.push(gw);
+
+  // Step 2: Live player data for every GW so far
+  console.log('Step 2: Fetching live player data...');
+  const gwPlayerData = await loadGwPlayerData(client, gameweeks, finishedGWs);
+
+  // Step 3: Each manager's transfers, plus picks for their transfer GWs (hits and chips).
+  // A manager whose transfers could not be fetched is reported and left out.
+  console.log('Step 3: Fetching transfers for all managers...');
+  const issues = createIssueLog(leagueData.managers);
+  const results = await Promise.all(leagueData.managers.map(async manager => {
+    let transfersData;
+    try {
+      transfersData = (await client.transfers(manager.entry)).filter(t => t.event <= currentGW);
+    } catch (error) {
+      issues.error({
+        managerId: manager.entry,
+        reason: REASONS.FETCH_FAILED,
+        message: 'Transfers could not be fetched from FPL after retrying.'
+      });
+      console.warn(`Transfers for manager ${manager.entry} failed: ${error.message}`);
+      return null;
+    }
+    const transferGWs = [...new Set(transfersData.map(t => t.event))];
+    const picksByGW = await loadPicksMap(client, manager.entry, transferGWs, finishedGWs, issues);
+
+    const transfers = evaluateTransfers(transfersData, { gwPlayerData, picksByGW, lastGW: currentGW })
+      .map(t => ({
+        ...t,
+        nameIn: playerNames[t.elementIn] || null,
+        nameOut: playerNames[t.elementOut] || null
+      }))
+      .sort((a, b) => b.net - a.net || a.gw - b.gw);
+
+    return {
+      managerId: manager.entry,
+      managerName: manager.player_name,
+      teamName: manager.entry_name,
+      transferCount: transfers.length,
+      totalNet: transfers.reduce((sum, t) => sum + t.net, 0),
+      best: transfers[0] || null,
+      worst: transfers[transfers.length - 1] || null,
+      transfers
+    };
+  }));
+  const managers = results.filter(Boolean).sort((a, b) => b.totalNet - a.totalNet);
+
+  // Step 4: League-wide ranking, best transfer first
+  console.log('Step 4: Ranking transfers...');
+  const ranking = managers
+    .flatMap(m => m.transfers.map(t => ({ managerId: m.managerId, managerName: m.managerName, teamName: m.teamName, ...t })))
+    .sort((a, b) => b.net - a.net || a.gw - b.gw)
+    .map((transfer, index) => ({ rank: index + 1, ...transfer }));
+
+  const cacheSummary = client.cacheSummary();
+  console.log(`Evaluated ${ranking.length} transfers`);
+  console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
+  console.log('--- Request Complete ---');
+
+  return sendReport(res, report, `transfers-${leagueId}-gw${currentGW}`, {
+    mode: 'transfers',
+    currentGW,
+    leagueName: leagueData.league ? leagueData.league.name : null,
+    managerCount: managers.length,
+    truncated: leagueData.truncated,
+    managers,
+    ranking,
+    manager: managerId ? managers.find(m => m.managerId === parseInt(managerId)) || null : null,
+    ...issues.report(),
+    cache: cacheSummary
+  });
+};
+
+module.exports = async (req, res, client = new FplClient()) => {
   console.log('--- FPL What-If Request ---');
   try {
     const { leagueId, managerId } = req.query;
-    console.log(`Received request for League: ${leagueId}, Manager: ${managerId}`);
+    const mode = req.query.mode || 'branches';
+    console.log(`Received request for League: ${leagueId}, Manager: ${managerId}, Mode: ${mode}`);
+
+    if (!MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${MODES.join(', ')}.` });
+    }
+    const report = parseReportOptions(req.query, CSV_TABLES[mode]);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    if (mode === 'captaincy') {
+      return await captaincyRegret(req, res, client, report);
+    }
+    if (mode === 'transfers') {
+      return await transferHindsight(req, res, client, report);
+    }
 
     if (!leagueId || !managerId) {
       return res.status(400).json({ error: 'leagueId and managerId are required.' });
     }
 
-    // Step 1: Get current gameweek
+    // Optional comparison squad: a league member's team (by manager ID) or 'template'
+    const compare = req.query.compare || null;
+    if (compare && compare !== 'template' && !/^\d+$/.test(compare)) {
+      return res.status(400).json({ error: "compare must be a manager ID or 'template'." });
+    }
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    // Step 1: Get current gameweek (+ standings when comparing)
     console.log('Step 1: Fetching current gameweek...');
-    const bootstrapResponse = await fetchWithRetry(BOOTSTRAP_URL);
-    const bootstrapData = await bootstrapResponse.json();
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      compare ? client.leagueManagers(leagueId, maxManagers, leagueType) : null
+    ]);
     const currentGW = bootstrapData.events.find(e => e.is_current).id;
+    const finishedGWs = new Set(bootstrapData.events.filter(e => e.finished).map(e => e.id));
+    const elementTypes = {};
+    const playerNames = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+      playerNames[el.id] = el.web_name;
+    }
     console.log(`Current Gameweek: ${currentGW}`);
 
+    let compareGW = null;
+    let compareManager = null;
+    if (compare) {
+      if (!leagueData) {
+        return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+      }
+      compareGW = Number(req.query.compareGW);
+      if (!Number.isInteger(compareGW) || compareGW < 1 || compareGW > currentGW) {
+        return res.status(400).json({ error: `compareGW must be a gameweek between 1 and ${currentGW}.` });
+      }
+      if (compare !== 'template') {
+        compareManager = leagueData.managers.find(m => m.entry === Number(compare));
+        if (!compareManager) {
+          return res.status(400).json({ error: 'compare must be a manager in this league.' });
+        }
+      }
+    }
+
     // Step 2: Fetch manager's transfer history
     console.log('Step 2: Fetching transfer history...');
-    const transfersResponse = await fetchWithRetry(`${TEAM_API_URL}${managerId}/transfers/`);
-    const transfersData = await transfersResponse.json();
+    const transfersData = await client.transfers(managerId);
     const transferGWs = [...new Set(transfersData.map(t => t.event))].sort((a, b) => a - b);
     console.log(`Transfer GWs: [${transferGWs.join(', ')}]`);
 
-    // Step 3: Fetch picks for every GW (batched in groups of 5)
+    const gameweeks = [];
+    for (let gw = 1; gw <= currentGW; gw++) gameweeks.push(gw);
+
+    // Step 3: Fetch picks for every GW
     console.log('Step 3: Fetching picks for all gameweeks...');
-    const picksMap = {};
-    const batchSize = 5;
-    for (let i = 0; i < currentGW; i += batchSize) {
-      const batch = [];
-      for (let j = i; j < Math.min(i + batchSize, currentGW); j++) {
-        const gw = j + 1;
-        batch.push(
-          fetchWithRetry(`${TEAM_API_URL}${managerId}/event/${gw}/picks/`)
-            .then(r => r.json())
-            .then(data => ({ gw, data }))
-        );
-      }
-      const results = await Promise.all(batch);
-      for (const { gw, data } of results) {
-        picksMap[gw] = (data.picks && Array.isArray(data.picks)) ? data : null;
-      }
-      if (i + batchSize < currentGW) await sleep(200);
-    }
+    const issues = createIssueLog(leagueData ? leagueData.managers : []);
+    const picksMap = await loadPicksMap(client, parseInt(managerId), gameweeks, finishedGWs, issues);
     console.log(`Fetched picks for ${Object.keys(picksMap).length} gameweeks`);
 
-    // Step 4: Fetch live player data for every GW (parallel)
+    // Step 4: Fetch live player data for every GW
     console.log('Step 4: Fetching live player data for all gameweeks...');
-    const gwPlayerData = {};
-    const livePromises = [];
-    for (let gw = 1; gw <= currentGW; gw++) {
-      livePromises.push(
-        fetchWithRetry(`${LIVE_API_URL}${gw}/live/`)
-          .then(r => r.json())
-          .then(data => ({ gw, data }))
-      );
-    }
-    const liveResults = await Promise.all(livePromises);
-    for (const { gw, data } of liveResults) {
-      gwPlayerData[gw] = {};
-      for (const el of data.elements) {
-        gwPlayerData[gw][el.id] = {
-          points: el.stats.total_points,
-          minutes: el.stats.minutes
-        };
-      }
-    }
+    const gwPlayerData = await loadGwPlayerData(client, gameweeks, finishedGWs);
     console.log(`Fetched live data for ${Object.keys(gwPlayerData).length} gameweeks`);
 
     // Step 5: Build actual cumulative points
@@ -83,6 +508,9 @@ module.exports = async (req, res) => {
       actual.push({ gw, points: history ? history.total_points : null });
     }
 
+    // Points banked before a branch starts: the manager's actual total the GW before
+    const totalBefore = (gw) => picksMap[gw - 1]?.entry_history?.total_points ?? 0;
+
     // Step 6: Determine freeze points (GW 1 + every transfer GW, excluding Free Hit GWs)
     const freeHitGWs = new Set();
     for (let gw = 1; gw <= currentGW; gw++) {
@@ -105,50 +533,68 @@ module.exports = async (req, res) => {
       const frozenPicksData = picksMap[freezeGW];
       if (!frozenPicksData || !frozenPicksData.picks) continue;
 
-      const frozenPicks = frozenPicksData.picks;
-
-      // Normalize chip multipliers for subsequent GWs:
-      // Triple Captain (3) → Captain (2); bench boost bench (multiplier 1) → bench (0)
-      const normalizedPicks = frozenPicks.map(p => ({
-        ...p,
-        multiplier: p.position >= 12 ? 0 : (p.multiplier === 3 ? 2 : p.multiplier)
-      }));
+      const branchData = simulateBranch(frozenPicksData.picks, freezeGW, currentGW, {
+        basePoints: totalBefore(freezeGW),
+        activeChip: frozenPicksData.active_chip,
+        gwPlayerData,
+        elementTypes
+      });
+      branches.push({ freezeGW, label: `GW${freezeGW} freeze`, data: branchData });
+    }
 
-      let basePoints = 0;
-      if (freezeGW > 1 && picksMap[freezeGW - 1]?.entry_history) {
-        basePoints = picksMap[freezeGW - 1].entry_history.total_points;
+    // Step 8: Comparison squad, held from compareGW on with no chip and no hits
+    let comparison = null;
+    if (compare) {
+      console.log(`Step 8: Simulating comparison (${compare}, GW${compareGW})...`);
+      let picks = null;
+      if (compareManager) {
+        const picksData = await loadPicks(client, compareManager.entry, compareGW, {
+          finished: finishedGWs.has(compareGW),
+          issues
+        });
+        picks = picksData ? picksData.picks : null;
+      } else {
+        const leaguePicks = await loadGameweekPicks(client, leagueData.managers.map(m => m.entry), compareGW, {
+          finished: finishedGWs.has(compareGW),
+          issues
+        });
+        picks = templateSquad(Object.values(leaguePicks), elementTypes);
+        if (picks.length === 0) picks = null;
       }
 
-      const branchData = [];
-      let runningTotal = basePoints;
-
-      for (let gw = freezeGW; gw <= currentGW; gw++) {
-        if (!gwPlayerData[gw]) {
-          branchData.push({ gw, points: runningTotal });
-          continue;
-        }
-
-        const picksForGW = (gw === freezeGW) ? frozenPicks : normalizedPicks;
-        const effectiveLineup = simulateAutoSubs(picksForGW, gwPlayerData[gw]);
-
-        let gwPoints = 0;
-        for (const player of effectiveLineup) {
-          const pData = gwPlayerData[gw][player.element];
-          const rawPoints = pData ? pData.points : 0;
-          gwPoints += rawPoints * player.multiplier;
-        }
-
-        runningTotal += gwPoints;
-        branchData.push({ gw, points: runningTotal });
+      // No squad that GW (a late joiner, failed fetches): the reason is in warnings/errors
+      if (picks) {
+        const data = simulateBranch(picks, compareGW, currentGW, {
+          basePoints: totalBefore(compareGW),
+          gwPlayerData,
+          elementTypes
+        });
+        comparison = {
+          type: compareManager ? 'manager' : 'template',
+          managerId: compareManager ? compareManager.entry : null,
+          managerName: compareManager ? compareManager.player_name : null,
+          teamName: compareManager ? compareManager.entry_name : null,
+          compareGW,
+          label: compareManager ? `Copy ${compareManager.entry_name} GW${compareGW}` : `League template GW${compareGW}`,
+          squad: picks.map(p => ({
+            element: p.element,
+            name: playerNames[p.element] || null,
+            position: p.position,
+            multiplier: p.position >= 12 ? 0 : (p.multiplier === 3 ? 2 : p.multiplier)
+          })),
+          data
+        };
       }
-
-      branches.push({ freezeGW, label: `GW${freezeGW} freeze`, data: branchData });
     }
 
+    const cacheSummary = client.cacheSummary();
     console.log(`Computed ${branches.length} branches`);
+    console.log(`Cache: ${cacheSummary.hits} hits, ${cacheSummary.misses} misses`);
     console.log('--- Request Complete ---');
 
-    res.status(200).json({ managerId: parseInt(managerId), currentGW, actual, branches });
+    sendReport(res, report, `what-if-${leagueId}-${managerId}`, {
+      managerId: parseInt(managerId), currentGW, actual, branches, comparison, ...issues.report(), cache: cacheSummary
+    });
 
   } catch (error) {
     console.error('An unhandled error occurred:', error);
@@ -0,0 +1,173 @@
+// api/send-digest.js
+// Weekly recap: once a gameweek has finished, composes a summary of it for the league
+// (top scorer, biggest movers, hits, auto-sub luck, captain picks) and POSTs it to the
+// chat webhook in DIGEST_WEBHOOK_URL as Slack- or Discord-style JSON. dryRun=1 returns
+// the payload for any leagueId without sending. Sending always needs CRON_SECRET (as
+// Vercel Cron sends it) and only ever covers DIGEST_LEAGUE_ID. Each gameweek is sent
+// once: the last one sent is recorded per season in the snapshot store, so the
+// scheduled run can go daily. That needs a store that lasts between runs (FPL_SNAPSHOT_DIR or a blob
+// store): with the temporary default, sending is refused rather than repeated daily.
+// H2H leagues are ranked on points too, not H2H points.
+const { parseManagerCap, parseLeagueType, seasonName } = require('./_lib/fpl');
+const { loadFinishedLiveData, loadGameweekPicks } = require('./_lib/season');
+const { WEBHOOK_FORMATS, summariseGameweek, renderDigest, webhookFormat, webhookPayload, postWebhook } = require('./_lib/digest');
+const { createIssueLog } = require('./_lib/issues');
+const { isPersistent } = require('./_lib/snapshots');
+const { FplClient } = require('./_lib/client');
+
+const isSet = (value) => value === '1' || value === 'true';
+
+module.exports = async (req, res, client = new FplClient()) => {
+  console.log('--- League Digest Request ---');
+  try {
+    const dryRun = isSet(req.query.dryRun);
+
+    // Sending is for Vercel Cron (CRON_SECRET as a bearer token); previews are open
+    if (!dryRun) {
+      const secret = process.env.CRON_SECRET;
+      if (!secret) {
+        return res.status(400).json({ error: 'CRON_SECRET is not set; use dryRun=1 to preview the digest.' });
+      }
+      if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized.' });
+      }
+    }
+
+    // Only the configured league is ever posted to the group's webhook
+    const leagueId = dryRun ? req.query.leagueId || process.env.DIGEST_LEAGUE_ID : process.env.DIGEST_LEAGUE_ID;
+    if (!leagueId) {
+      return res.status(400).json({
+        error: dryRun ? 'leagueId is required when DIGEST_LEAGUE_ID is not set.' : 'DIGEST_LEAGUE_ID is not set.'
+      });
+    }
+    if (!dryRun && req.query.leagueId && req.query.leagueId !== leagueId) {
+      return res.status(400).json({ error: 'Only DIGEST_LEAGUE_ID can be sent; use dryRun=1 to preview another league.' });
+    }
+
+    const maxManagers = parseManagerCap(req.query.maxManagers);
+    if (maxManagers === null) {
+      return res.status(400).json({ error: 'maxManagers must be a positive integer.' });
+    }
+
+    const leagueType = parseLeagueType(req.query.leagueType);
+    if (!leagueType) {
+      return res.status(400).json({ error: "leagueType must be 'classic' or 'h2h'." });
+    }
+
+    const requestedGW = req.query.gameweek === undefined || req.query.gameweek === '' ? null : Number(req.query.gameweek);
+    if (requestedGW !== null && (!Number.isInteger(requestedGW) || requestedGW < 1)) {
+      return res.status(400).json({ error: 'gameweek must be a positive integer.' });
+    }
+
+    const webhookUrl = process.env.DIGEST_WEBHOOK_URL;
+    if (!dryRun && !webhookUrl) {
+      return res.status(400).json({ error: 'DIGEST_WEBHOOK_URL is not set; use dryRun=1 to preview the digest.' });
+    }
+    const explicitFormat = req.query.webhookFormat || process.env.DIGEST_WEBHOOK_FORMAT;
+    if (explicitFormat && !WEBHOOK_FORMATS.includes(explicitFormat)) {
+      return res.status(400).json({ error: `webhookFormat must be one of: ${WEBHOOK_FORMATS.join(', ')}.` });
+    }
+    const format = webhookFormat(webhookUrl, explicitFormat);
+
+    if (!dryRun && !isPersistent(client.snapshots)) {
+      return res.status(503).json({
+        error: 'The snapshot store is temporary, so sent gameweeks cannot be remembered; ' +
+          'set FPL_SNAPSHOT_DIR or plug in a blob store to send the digest.'
+      });
+    }
+
+    // Step 1: Fetch bootstrap + standings in parallel
+    console.log('Step 1: Fetching bootstrap & league standings...');
+    const [bootstrapData, leagueData] = await Promise.all([
+      client.bootstrap(),
+      client.leagueManagers(leagueId, maxManagers, leagueType)
+    ]);
+
+    if (!leagueData) {
+      return res.status(404).json({ error: 'League not found. Please check the League ID.' });
+    }
+    const leagueName = leagueData.league ? leagueData.league.name : null;
+
+    // Default: the latest finished GW
+    const finishedGWs = bootstrapData.events.filter(e => e.finished).map(e => e.id);
+    if (requestedGW !== null && !finishedGWs.includes(requestedGW)) {
+      return res.status(400).json({ error: `Gameweek ${requestedGW} has not finished yet.` });
+    }
+    const gameweek = requestedGW ?? (finishedGWs.length > 0 ? Math.max(...finishedGWs) : null);
+    if (gameweek === null) {
+      console.log('No finished gameweek yet, nothing to send.');
+      return res.status(200).json({ status: 'pending', leagueId: String(leagueId), leagueType, gameweek: null });
+    }
+
+    const sentKey = `digest-${seasonName(bootstrapData)}-${leagueType}-${leagueId}`;
+    const lastSent = await client.snapshots.latest(sentKey);
+    if (!dryRun && lastSent && lastSent.gameweek >= gameweek) {
+      console.log(`GW${gameweek} digest already sent at ${lastSent.sentAt}.`);
+      return res.status(200).json({
+        status: 'already-sent', leagueId: String(leagueId), leagueType, gameweek, sentAt: lastSent.sentAt
+      });
+    }
+
+    // Step 2: Live data + every manager's picks for the GW
+    console.log(`Step 2: Fetching GW${gameweek} live data & picks...`);
+    const issues = createIssueLog(leagueData.managers);
+    const [gwPlayerData, picksByManager] = await Promise.all([
+      loadFinishedLiveData(client, [gameweek]),
+      loadGameweekPicks(client, leagueData.managers.map(m => m.entry), gameweek, { finished: true, issues })
+    ]);
+
+    // Step 3: Summarise and render
+    console.log('Step 3: Composing digest...');
+    const elementTypes = {};
+    const playerNames = {};
+    for (const el of bootstrapData.elements) {
+      elementTypes[el.id] = el.element_type;
+      playerNames[el.id] = el.web_name;
+    }
+    const summary = summariseGameweek(leagueData.managers, picksByManager, gwPlayerData[gameweek] || {}, {
+      elementTypes,
+      playerNames
+    });
+    const meta = { leagueName, gameweek };
+    const payload = webhookPayload(summary, meta, format);
+
+    // Step 4: Deliver, unless previewing
+    let status = 'dry-run';
+    if (!dryRun) {
+      console.log(`Step 4: Posting to ${format} webhook...`);
+      const delivery = await postWebhook(webhookUrl, payload);
+      if (!delivery.ok) {
+        return res.status(502).json({
+          error: delivery.status ? `Webhook responded with status ${delivery.status}.` : 'Webhook could not be reached.'
+        });
+      }
+      await client.snapshots.save(sentKey, {
+        version: lastSent ? lastSent.version + 1 : 1,
+        gameweek,
+        sentAt: new Date().toISOString()
+      });
+      status = 'sent';
+    }
+
+    console.log(`--- Digest Request Complete (${status}) ---`);
+    return res.status(200).json({
+      status,
+      leagueId: String(leagueId),
+      leagueName,
+      leagueType,
+      gameweek,
+      summary,
+      digest: {
+        markdown: renderDigest(summary, { ...meta, style: 'markdown' }),
+        text: renderDigest(summary, { ...meta, style: 'text' })
+      },
+      webhook: { format, payload },
+      ...issues.report(),
+      cache: client.cacheSummary()
+    });
+
+  } catch (error) {
+    console.error('An unhandled error occurred:', error);
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+};
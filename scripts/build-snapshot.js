@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// scripts/build-snapshot.js — build or update season snapshots from the command line
+//
+//   npm run snapshot -- <leagueId>... [--type classic|h2h] [--max N]
+//
+// Without league IDs the leagues in SNAPSHOT_LEAGUES are used. Snapshots are written to
+// FPL_SNAPSHOT_DIR, where get-season-data reads them; without it they go to the OS temp
+// dir, which only a server on this machine reads.
+'use strict';
+
+const { parseManagerCap, parseLeagueType } = require('../api/_lib/fpl');
+const { buildSnapshots } = require('../api/_lib/snapshots');
+const { FplClient } = require('../api/_lib/client');
+
+const parseArgs = (argv) => {
+  const args = { leagueIds: [], leagueType: undefined, maxManagers: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--type') args.leagueType = argv[++i];
+    else if (argv[i] === '--max') args.maxManagers = argv[++i];
+    else args.leagueIds.push(argv[i]);
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const leagueIds = args.leagueIds.length > 0
+    ? args.leagueIds
+    : (process.env.SNAPSHOT_LEAGUES || '').split(',').map(id => id.trim()).filter(Boolean);
+  const maxManagers = parseManagerCap(args.maxManagers);
+  const leagueType = parseLeagueType(args.leagueType);
+  if (leagueIds.length === 0 || maxManagers === null || !leagueType) {
+    console.error('Usage: npm run snapshot -- <leagueId>... [--type classic|h2h] [--max N]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const leagues = await buildSnapshots(new FplClient(), leagueIds, { leagueType, maxManagers });
+  for (const league of leagues) {
+    if (league.status === 'not-found') {
+      console.error(`League ${league.leagueId}: not found`);
+      process.exitCode = 1;
+      continue;
+    }
+    const added = league.updatedGameweeks.length > 0 ? `added GW${league.updatedGameweeks.join(', GW')}` : 'already current';
+    console.log(`League ${league.leagueId}: v${league.version} through GW${league.lastFinishedGW}, ${added}` +
+      (league.errors.length > 0 ? ` (${league.errors.length} error(s), retried next run)` : ''));
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+// test/build-snapshot.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const handler = require('../api/build-snapshot');
+const seasonHandler = require('../api/get-season-data');
+const { createFileSnapshotStore, createMemorySnapshotStore } = require('../api/_lib/snapshots');
+const { runHandler, createTestClient, fixtureTransport } = require('./helpers');
+
+const withEnv = async (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+test('requires a league, from the query or SNAPSHOT_LEAGUES', async () => {
+  const res = await runHandler(handler, {});
+  assert.equal(res.statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '100', maxManagers: '0' })).statusCode, 400);
+});
+
+test('rejects callers without the cron secret when one is set', async () => {
+  await withEnv({ CRON_SECRET: 's3cret' }, async () => {
+    const res = await runHandler(handler, { leagueId: '100' });
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+test('builds every configured league and season data is then served from the snapshot', async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(transport);
+  const res = await withEnv({ SNAPSHOT_LEAGUES: '100, 999' }, () => runHandler(handler, {}, client));
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.leagues.map(l => [l.leagueId, l.status, l.version, l.lastFinishedGW, l.updatedGameweeks]), [
+    ['100', 'updated', 1, 2, [1, 2]],
+    ['999', 'not-found', undefined, undefined, undefined]
+  ]);
+  assert.deepEqual(res.body.leagues[0].warnings.map(w => [w.managerId, w.reason, w.gameweeks]), [[1003, 'not-entered', [1]]]);
+
+  const again = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(again.body.leagues.map(l => [l.status, l.version]), [['current', 1]]);
+
+  transport.requests.length = 0;
+  const season = await runHandler(seasonHandler, { leagueId: '100' }, client);
+  assert.equal(season.statusCode, 200);
+  assert.deepEqual(season.body.snapshot.updatedGameweeks, []);
+  assert.equal(transport.requests.some(url => url.includes('/picks/') || url.includes('/live/')), false);
+});
+
+test('a new season starts its own snapshot rather than reusing last season\'s', async () => {
+  const lastSeason = createTestClient();
+  await runHandler(handler, { leagueId: '100' }, lastSeason);
+
+  // The same league after FPL's summer reset: GW1 and GW2 again, a year on
+  const transport = fixtureTransport();
+  const nextSeason = createTestClient(async (url) => {
+    const response = await transport(url);
+    if (!url.includes('/bootstrap-static/')) return response;
+    const data = await response.json();
+    for (const event of data.events) {
+      const deadline = new Date(event.deadline_time);
+      deadline.setUTCFullYear(deadline.getUTCFullYear() + 1);
+      event.deadline_time = deadline.toISOString();
+    }
+    return { ok: true, status: 200, json: async () => data };
+  });
+  nextSeason.snapshots = lastSeason.snapshots;
+
+  const res = await runHandler(handler, { leagueId: '100' }, nextSeason);
+  assert.deepEqual(res.body.leagues.map(l => [l.status, l.version, l.updatedGameweeks]), [['updated', 1, [1, 2]]]);
+  assert.ok(await lastSeason.snapshots.latest('season-2025/26-classic-100-all'));
+  assert.equal((await nextSeason.snapshots.latest('season-2026/27-classic-100-all')).season, '2026/27');
+});
+
+test('the filesystem store keeps every version and reads back the newest', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-test-'));
+  try {
+    const store = createFileSnapshotStore(dir);
+    assert.equal(await store.latest('season-classic-100-all'), undefined);
+    assert.equal(await store.save('season-classic-100-all', { version: 1, lastFinishedGW: 1 }), true);
+    assert.equal(await store.save('season-classic-100-all', { version: 2, lastFinishedGW: 2 }), true);
+    assert.deepEqual(await store.latest('season-classic-100-all'), { version: 2, lastFinishedGW: 2 });
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'season-classic-100-all')).sort(), ['v1.json', 'v2.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a version already saved is never overwritten, in either store', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-test-'));
+  try {
+    for (const store of [createFileSnapshotStore(dir), createMemorySnapshotStore()]) {
+      const saved = await Promise.all([
+        store.save('season-classic-100-all', { version: 1, by: 'first' }),
+        store.save('season-classic-100-all', { version: 1, by: 'second' })
+      ]);
+      assert.deepEqual(saved.sort(), [false, true]);
+      assert.equal((await store.latest('season-classic-100-all')).version, 1);
+    }
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'season-classic-100-all')), ['v1.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('concurrent season requests build one snapshot version between them', async () => {
+  const client = createTestClient();
+  const responses = await Promise.all([1, 2].map(() => runHandler(seasonHandler, { leagueId: '100' }, client)));
+  assert.deepEqual(responses.map(r => [r.statusCode, r.body.snapshot.version]), [[200, 1], [200, 1]]);
+  assert.equal((await runHandler(seasonHandler, { leagueId: '100' }, client)).body.snapshot.version, 1);
+});
+
+test('reports a snapshot store that does not last', async () => {
+  assert.equal((await runHandler(handler, { leagueId: '100' })).body.persistent, true);
+
+  const client = createTestClient();
+  client.snapshots = { ...createMemorySnapshotStore(), persistent: false };
+  const res = await runHandler(handler, { leagueId: '100' }, client);
+  assert.equal(res.body.persistent, false);
+  assert.equal((await runHandler(seasonHandler, { leagueId: '100' }, client)).body.snapshot.persistent, false);
+});
@@ -0,0 +1,265 @@
+// test/client.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FplClient } = require('../api/_lib/client');
+const { createRequestCache, createMemoryBackend, createTieredBackend, createScheduler } = require('../api/_lib/fpl');
+const { createIssueLog, loadPicks } = require('../api/_lib/issues');
+const { createTestClient, fixtureTransport } = require('./helpers');
+
+// Transport for a paged league: `pages` standings pages of `perPage` managers each
+const pagedLeagueTransport = (pages, perPage) => async (url) => {
+  const { searchParams } = new URL(url);
+  const page = Number(searchParams.get('page_standings'));
+  const results = [];
+  for (let i = 0; i < perPage; i++) {
+    const entry = (page - 1) * perPage + i + 1;
+    results.push({ entry, entry_name: `Team ${entry}`, player_name: `Manager ${entry}`, total: 100 - entry });
+  }
+  const body = {
+    league: { id: 1 },
+    new_entries: { has_next: false, page: 1, results: [] },
+    standings: { has_next: page < pages, page, results }
+  };
+  return { ok: true, status: 200, json: async () => body };
+};
+
+const clientFor = (transport) =>
+  new FplClient({ transport, retries: 1, retryDelay: 0, cache: createRequestCache(createMemoryBackend()) });
+
+test('leagueManagers walks every standings page', async () => {
+  const league = await clientFor(pagedLeagueTransport(3, 50)).leagueManagers(1);
+  assert.equal(league.managers.length, 150);
+  assert.equal(league.truncated, false);
+  assert.equal(league.managers[149].entry, 150);
+});
+
+test('leagueManagers stops fetching at the cap', async () => {
+  const transport = pagedLeagueTransport(3, 50);
+  let calls = 0;
+  const league = await clientFor((url) => { calls++; return transport(url); }).leagueManagers(1, 60);
+  assert.equal(league.managers.length, 60);
+  assert.equal(league.truncated, true);
+  assert.equal(calls, 2);
+});
+
+test('leagueManagers keeps the standings found when a later page is missing', async () => {
+  const transport = pagedLeagueTransport(3, 50);
+  const missingPage = async (url) => (new URL(url).searchParams.get('page_standings') === '2'
+    ? { ok: true, status: 200, json: async () => ({ detail: 'Not found.' }) }
+    : transport(url));
+  const league = await clientFor(missingPage).leagueManagers(1);
+  assert.equal(league.managers.length, 50);
+  assert.equal(league.truncated, true);
+});
+
+test('leagueManagers falls back to new entries before the season starts', async () => {
+  const transport = async (url) => {
+    const { searchParams } = new URL(url);
+    const page = Number(searchParams.get('page_new_entries'));
+    const body = {
+      league: { id: 1 },
+      standings: { has_next: false, page: 1, results: [] },
+      new_entries: {
+        has_next: page < 2,
+        page,
+        results: [{ entry: page, entry_name: `Team ${page}`, player_first_name: 'First', player_last_name: `${page}` }]
+      }
+    };
+    return { ok: true, status: 200, json: async () => body };
+  };
+  const league = await clientFor(transport).leagueManagers(1);
+  assert.deepEqual(league.managers, [
+    { entry: 1, entry_name: 'Team 1', player_name: 'First 1', total: 0 },
+    { entry: 2, entry_name: 'Team 2', player_name: 'First 2', total: 0 }
+  ]);
+});
+
+test('leagueManagers keeps the new entries found when a later page is missing', async () => {
+  const transport = async (url) => {
+    const page = Number(new URL(url).searchParams.get('page_new_entries'));
+    if (page === 2) return { ok: false, status: 404, json: async () => ({ detail: 'Not found.' }) };
+    const body = {
+      league: { id: 1 },
+      standings: { has_next: false, page: 1, results: [] },
+      new_entries: {
+        has_next: true,
+        page: 1,
+        results: [{ entry: 1, entry_name: 'Team 1', player_first_name: 'First', player_last_name: '1' }]
+      }
+    };
+    return { ok: true, status: 200, json: async () => body };
+  };
+  const league = await clientFor(transport).leagueManagers(1);
+  assert.deepEqual(league.managers.map(m => m.entry), [1]);
+  assert.equal(league.truncated, true);
+});
+
+test('picks returns null for a 404 and finished data is served from cache', async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(transport);
+
+  assert.equal(await client.picks(1003, 1, { finished: true }), null);
+  await client.picks(1001, 1, { finished: true });
+  await client.picks(1001, 1, { finished: true });
+  await client.picks(1003, 1, { finished: true });
+
+  assert.deepEqual(client.cacheSummary(), { backend: 'memory', hits: 1, misses: 3 });
+  assert.equal(transport.requests.length, 3);
+});
+
+// FPL's "the game is being updated" page: a 200 whose body is HTML
+const updatingResponse = () => ({ ok: true, status: 200, json: async () => { throw new SyntaxError('Unexpected token <'); } });
+
+test('a 200 that is not JSON is retried and then reported as a failed fetch', async () => {
+  const transport = fixtureTransport();
+  let updating = 1;
+  const flaky = async (url) => (url.includes('/picks/') && updating-- > 0 ? updatingResponse() : transport(url));
+  const client = new FplClient({
+    baseUrl: 'https://fpl.test/api', transport: flaky, retries: 2, retryDelay: 0,
+    cache: createRequestCache(createMemoryBackend()),
+    scheduler: createScheduler({ concurrency: Infinity, requestsPerSecond: Infinity })
+  });
+  assert.equal((await client.picks(1001, 1, { finished: true })).entry_history.event, 1);
+
+  const down = createTestClient(async (url) => (url.includes('/picks/') ? updatingResponse() : transport(url)));
+  const issues = createIssueLog([{ entry: 1001, player_name: 'Alice Archer', entry_name: 'Alice FC' }]);
+  assert.equal(await loadPicks(down, 1001, 1, { finished: true, issues }), null);
+  const { warnings, errors } = issues.report();
+  assert.deepEqual([warnings, errors.map(e => e.reason)], [[], ['fetch-failed']]);
+});
+
+test('live data without elements is never cached', async () => {
+  const transport = fixtureTransport();
+  let broken = true;
+  const client = createTestClient(async (url) => (url.includes('/live/') && broken
+    ? { ok: true, status: 200, json: async () => null }
+    : transport(url)));
+  await assert.rejects(client.live(1, { finished: true }));
+  broken = false;
+  assert.ok(Array.isArray((await client.live(1, { finished: true })).elements));
+
+  // An entry cached before this check is ignored and replaced
+  const backend = createMemoryBackend();
+  await backend.set('https://fpl.test/api/event/1/live/', { value: null }, 60000);
+  const cached = createTestClient(transport);
+  cached.cache = createRequestCache(backend);
+  assert.ok(Array.isArray((await cached.live(1, { finished: true })).elements));
+});
+
+test('a tiered hit is promoted for the rest of its TTL, not a fresh one', async () => {
+  const fast = createMemoryBackend();
+  const slow = createMemoryBackend();
+  const setCalls = [];
+  const recordingFast = { ...fast, set: async (key, entry, ttlMs) => { setCalls.push(ttlMs); await fast.set(key, entry, ttlMs); } };
+  const tiered = createTieredBackend([recordingFast, slow]);
+
+  await slow.set('fresh', { value: 1, ttlMs: 60000, expiresAt: Date.now() + 5000 }, 60000);
+  await slow.set('expired', { value: 2, ttlMs: 60000, expiresAt: Date.now() - 1 }, 60000);
+  assert.equal((await tiered.get('fresh')).value, 1);
+  assert.equal((await tiered.get('expired')).value, 2);
+
+  assert.equal(setCalls.length, 1);
+  assert.ok(setCalls[0] > 0 && setCalls[0] <= 5000);
+  assert.equal(await fast.get('expired'), undefined);
+});
+
+test('baseUrl is used for every request', async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(transport);
+  await client.bootstrap();
+  await client.transfers(1001);
+  assert.deepEqual(transport.requests, [
+    'https://fpl.test/api/bootstrap-static/',
+    'https://fpl.test/api/entry/1001/transfers/'
+  ]);
+});
+
+// Transport whose responses resolve only when the test says so
+const deferredTransport = () => {
+  const calls = [];
+  const transport = (url) => new Promise(resolve => {
+    calls.push({ url, respond: (status = 200, body = { url }, headers = {}) => resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      json: async () => body
+    }) });
+  });
+  transport.calls = calls;
+  return transport;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('the scheduler caps requests in flight and shares identical URLs', async () => {
+  const transport = deferredTransport();
+  const scheduler = createScheduler({ concurrency: 2, requestsPerSecond: Infinity });
+  const requests = ['/a', '/b', '/a', '/c'].map(url => scheduler.schedule(url, transport));
+  await tick();
+  assert.deepEqual(transport.calls.map(c => c.url), ['/a', '/b']);
+
+  transport.calls[0].respond();
+  await tick();
+  assert.deepEqual(transport.calls.map(c => c.url), ['/a', '/b', '/c']);
+  transport.calls[1].respond();
+  transport.calls[2].respond();
+
+  const bodies = await Promise.all(requests.map(async r => (await r).json()));
+  assert.deepEqual(bodies.map(b => b.url), ['/a', '/b', '/a', '/c']);
+  // Shared, but each caller gets its own copy of the data
+  assert.notEqual(bodies[0], bodies[2]);
+  bodies[0].url = 'changed';
+  assert.equal(bodies[2].url, '/a');
+  assert.deepEqual(scheduler.stats(), { requests: 3, deduplicated: 1, rateLimited: 0, queued: 0, active: 0 });
+});
+
+test('the scheduler only shares a URL between callers on the same transport', async () => {
+  const first = deferredTransport();
+  const second = deferredTransport();
+  const scheduler = createScheduler({ concurrency: 2, requestsPerSecond: Infinity });
+  const requests = [scheduler.schedule('/a', first), scheduler.schedule('/a', second)];
+  await tick();
+  first.calls[0].respond(200, { from: 'first' });
+  second.calls[0].respond(200, { from: 'second' });
+
+  const bodies = await Promise.all(requests.map(async r => (await r).json()));
+  assert.deepEqual(bodies.map(b => b.from), ['first', 'second']);
+  assert.equal(scheduler.stats().deduplicated, 0);
+});
+
+test('the scheduler spaces requests to the per-second budget', async () => {
+  const started = [];
+  const scheduler = createScheduler({ concurrency: 10, requestsPerSecond: 50 });
+  const transport = async (url) => {
+    started.push(Date.now());
+    return { ok: true, status: 200, json: async () => ({ url }) };
+  };
+  await Promise.all(['/1', '/2', '/3'].map(url => scheduler.schedule(url, transport)));
+  // 50 per second is one every 20ms (allowing for timer granularity)
+  assert.ok(started[1] - started[0] >= 18);
+  assert.ok(started[2] - started[1] >= 18);
+});
+
+test('a 429 pauses the queue for Retry-After and the request is retried', async () => {
+  const transport = deferredTransport();
+  const scheduler = createScheduler({ concurrency: 2, requestsPerSecond: Infinity });
+  const limited = scheduler.schedule('/limited', transport);
+  const other = scheduler.schedule('/other', transport);
+  await tick();
+  const startedAt = Date.now();
+  transport.calls[0].respond(429, {}, { 'retry-after': '0.05' });
+  transport.calls[1].respond();
+  await other;
+  while (transport.calls.length < 3) await new Promise(resolve => setTimeout(resolve, 5));
+  const waited = Date.now() - startedAt;
+  transport.calls[2].respond();
+
+  const response = await limited;
+  assert.ok(waited >= 45, `retried after ${waited}ms`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(transport.calls.map(c => c.url), ['/limited', '/other', '/limited']);
+  assert.equal(scheduler.stats().rateLimited, 1);
+});
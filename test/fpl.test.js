@@ -0,0 +1,272 @@
+// test/fpl.test.js — scoring rules in api/_lib (fpl.js, captaincy.js, bench.js, transfers.js) and CSV output
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveAutoSubs, simulateAutoSubs, computeProvisionalBonus, isValidFormation } = require('../api/_lib/fpl');
+const { mostCaptainedPlayer, scoreCaptaincy } = require('../api/_lib/captaincy');
+const { analyseBench, managementEfficiency } = require('../api/_lib/bench');
+const { evaluateTransfers } = require('../api/_lib/transfers');
+const { toCsv, parseReportOptions } = require('../api/_lib/csv');
+
+// 1-4-4-2 with bench GK, MID, DEF, FWD — same shape as the recorded fixtures
+const ELEMENT_TYPES = { 1: 1, 2: 1, 3: 2, 4: 2, 5: 2, 6: 2, 7: 2, 8: 3, 9: 3, 10: 3, 11: 3, 12: 3, 13: 4, 14: 4, 15: 4 };
+const ORDER = [1, 3, 4, 5, 6, 8, 9, 10, 11, 13, 14, 2, 12, 7, 15];
+
+const makePicks = ({ captain = 8, vice = 9, captainMultiplier = 2, benchMultiplier = 0 } = {}) =>
+  ORDER.map((element, i) => ({
+    element,
+    position: i + 1,
+    multiplier: element === captain ? captainMultiplier : i < 11 ? 1 : benchMultiplier,
+    is_captain: element === captain,
+    is_vice_captain: element === vice
+  }));
+
+// Everyone plays 90 minutes for 2 points unless overridden
+const makePlayerData = (overrides = {}) => {
+  const data = {};
+  for (const element of ORDER) data[element] = { points: 2, minutes: 90, ...overrides[element] };
+  return data;
+};
+
+const score = (lineup, playerData) =>
+  lineup.reduce((sum, p) => sum + playerData[p.element].points * p.multiplier, 0);
+
+test('isValidFormation requires one GK and 3 DEF / 2 MID / 1 FWD', () => {
+  assert.equal(isValidFormation({ 1: 1, 2: 3, 3: 5, 4: 2 }), true);
+  assert.equal(isValidFormation({ 1: 1, 2: 2, 3: 5, 4: 3 }), false);
+  assert.equal(isValidFormation({ 1: 1, 2: 5, 3: 5, 4: 0 }), false);
+  assert.equal(isValidFormation({ 1: 2, 2: 4, 3: 4, 4: 1 }), false);
+});
+
+test('no substitutions when the whole XI plays', () => {
+  const playerData = makePlayerData();
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.substitutions, []);
+  assert.deepEqual(result.lineup.map(p => p.element), ORDER.slice(0, 11));
+  assert.equal(score(result.lineup, playerData), 24);
+});
+
+test('bench goalkeeper only replaces the starting goalkeeper', () => {
+  const playerData = makePlayerData({ 3: { minutes: 0, points: 0 } });
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.skipped, [{ element: 2, benchSlot: 1, reason: 'goalkeeper can only replace goalkeeper' }]);
+  assert.deepEqual(result.substitutions.map(s => [s.elementOut, s.elementIn, s.benchSlot]), [[3, 12, 2]]);
+
+  const keeperOut = makePlayerData({ 1: { minutes: 0, points: 0 } });
+  const keeperResult = resolveAutoSubs(makePicks(), keeperOut, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(keeperResult.substitutions.map(s => [s.elementOut, s.elementIn]), [[1, 2]]);
+});
+
+test('a swap that would break formation minimums is skipped', () => {
+  // Only two forwards start; the bench MID and DEF cannot replace a forward if
+  // that leaves none, so the bench forward comes on instead.
+  const picks = makePicks();
+  const playerData = makePlayerData({
+    13: { minutes: 0, points: 0 },
+    14: { minutes: 0, points: 0 }
+  });
+  const result = resolveAutoSubs(picks, playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.substitutions.map(s => [s.elementOut, s.elementIn]), [[13, 12], [14, 15]]);
+  assert.equal(result.skipped.find(s => s.element === 7).reason, 'would break formation minimums');
+});
+
+test('bench players who did not play are passed over', () => {
+  const playerData = makePlayerData({
+    4: { minutes: 0, points: 0 },
+    12: { minutes: 0, points: 0 }
+  });
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.substitutions.map(s => [s.elementOut, s.elementIn]), [[4, 7]]);
+  assert.deepEqual(result.skipped.map(s => [s.element, s.reason]), [
+    [2, 'goalkeeper can only replace goalkeeper'],
+    [12, 'did not play']
+  ]);
+});
+
+test('vice-captain inherits the armband from a 0-minute captain', () => {
+  const playerData = makePlayerData({ 8: { minutes: 0, points: 0 }, 9: { points: 6 }, 12: { points: 5 } });
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.captain, { element: 9, multiplier: 2, promotedFrom: 8 });
+  // The substitute comes in at multiplier 1, not the captain's 2
+  assert.equal(result.lineup.find(p => p.element === 12).multiplier, 1);
+  assert.equal(score(result.lineup, playerData), 2 * 9 + 6 * 2 + 5);
+});
+
+test('vice-captain promotion carries the Triple Captain multiplier', () => {
+  const playerData = makePlayerData({ 8: { minutes: 0, points: 0 } });
+  const result = resolveAutoSubs(makePicks({ captainMultiplier: 3 }), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.captain, { element: 9, multiplier: 3, promotedFrom: 8 });
+});
+
+test('captain keeps the armband when the vice-captain did not play either', () => {
+  const playerData = makePlayerData({ 8: { minutes: 0, points: 0 }, 9: { minutes: 0, points: 0 } });
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.equal(result.captain.promotedFrom, null);
+  assert.ok(result.lineup.every(p => p.multiplier === 1));
+});
+
+test('Bench Boost scores all 15 without substitutions', () => {
+  const playerData = makePlayerData({ 3: { minutes: 0, points: 0 } });
+  const picks = makePicks({ benchMultiplier: 1 });
+  const result = resolveAutoSubs(picks, playerData, { elementTypes: ELEMENT_TYPES, activeChip: 'bboost' });
+  assert.deepEqual(result.substitutions, []);
+  assert.equal(result.lineup.length, 15);
+  assert.equal(score(result.lineup, playerData), 2 * 13 + 4);
+});
+
+test('starters whose fixture is still to play are not subbed out', () => {
+  const playerData = makePlayerData({ 3: { minutes: 0, points: 0, finished: false } });
+  const lineup = simulateAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(lineup.map(p => p.element), ORDER.slice(0, 11));
+});
+
+test('a bench player still to play keeps their place in the bench order', () => {
+  const playerData = makePlayerData({
+    4: { minutes: 0, points: 0 },
+    12: { minutes: 0, points: 0, finished: false }
+  });
+  const result = resolveAutoSubs(makePicks(), playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result.substitutions, []);
+  assert.deepEqual(result.skipped.map(s => [s.element, s.reason]), [
+    [2, 'goalkeeper can only replace goalkeeper'],
+    [12, 'still to play; holds the place of DEF 4']
+  ]);
+  assert.deepEqual(result.lineup.map(p => p.element), ORDER.slice(0, 11));
+});
+
+test('provisional bonus ranks BPS per unconfirmed fixture and shares ties', () => {
+  const element = (id, bps, fixture, minutes = 90) => ({ id, stats: { minutes, bps }, explain: [{ fixture }] });
+  const fixtures = [
+    { id: 1, started: true, finished: false },
+    { id: 2, started: true, finished: true },
+    { id: 3, started: false, finished: false }
+  ];
+  const bonus = computeProvisionalBonus([
+    element(10, 40, 1), element(11, 40, 1), element(12, 30, 1), element(13, 20, 1),
+    element(14, 50, 1, 0),
+    element(20, 60, 2),
+    element(30, 0, 3, 0)
+  ], fixtures);
+  assert.deepEqual(bonus, { 10: 3, 11: 3, 12: 1 });
+});
+
+test('captaincy regret compares the armband against the best pick in the XI', () => {
+  const playerData = makePlayerData({ 10: { minutes: 90, points: 12 } });
+  const picksData = { picks: makePicks(), active_chip: null };
+  const result = scoreCaptaincy(picksData, playerData, {
+    elementTypes: ELEMENT_TYPES,
+    mostCaptained: { element: 10 }
+  });
+  assert.deepEqual(result.captain, { element: 8, points: 2 });
+  assert.deepEqual(result.best, { element: 10, points: 12 });
+  assert.equal(result.lost, 10);
+  assert.equal(result.viceDelta, 0);
+  assert.equal(result.mostCaptainedDelta, 10);
+
+  // Triple Captain triples the regret; a benched player cannot take the armband
+  const tc = scoreCaptaincy({ picks: makePicks({ captainMultiplier: 3 }) }, playerData, {
+    elementTypes: ELEMENT_TYPES,
+    mostCaptained: { element: 12 }
+  });
+  assert.equal(tc.lost, 20);
+  assert.equal(tc.mostCaptainedDelta, null);
+});
+
+test('a blanking alternative captain hands the armband to the vice', () => {
+  // Captaining the 0-minute forward would have passed the armband to the vice (9)
+  const playerData = makePlayerData({ 9: { minutes: 90, points: 8 }, 13: { minutes: 0, points: 0 } });
+  const result = scoreCaptaincy({ picks: makePicks() }, playerData, {
+    elementTypes: ELEMENT_TYPES,
+    mostCaptained: { element: 13 }
+  });
+  assert.equal(result.mostCaptainedDelta, 6);
+  assert.equal(result.lost, 6);
+  assert.deepEqual(result.best, { element: 9, points: 8 });
+});
+
+test('most-captained player counts armbands and breaks ties on element id', () => {
+  const captainOf = (element) => ({ picks: makePicks({ captain: element }) });
+  assert.deepEqual(mostCaptainedPlayer([captainOf(10), captainOf(8), null, captainOf(10)]), { element: 10, count: 2 });
+  assert.deepEqual(mostCaptainedPlayer([captainOf(10), captainOf(8)]), { element: 8, count: 1 });
+  assert.equal(mostCaptainedPlayer([null]), null);
+});
+
+test('bench analysis finds the optimal XI with the captaincy held fixed', () => {
+  // The bench midfielder (12) outscored the starting midfielder (11)
+  const playerData = makePlayerData({ 11: { minutes: 90, points: 1 }, 12: { minutes: 90, points: 10 } });
+  const result = analyseBench({ picks: makePicks() }, playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result, { points: 23, benchPoints: 16, optimalPoints: 32, optimalBenchPoints: 23 });
+  assert.equal(managementEfficiency(result.points, result.optimalPoints), 71.9);
+});
+
+test('bench analysis reorders the outfield bench for auto-subs', () => {
+  // The forward (13) blanked; bench MID 12 came on for 1 although DEF 7 scored 6
+  const playerData = makePlayerData({
+    13: { minutes: 0, points: 0 },
+    12: { minutes: 90, points: 1 },
+    7: { minutes: 90, points: 6 }
+  });
+  const result = analyseBench({ picks: makePicks() }, playerData, { elementTypes: ELEMENT_TYPES });
+  assert.deepEqual(result, { points: 23, benchPoints: 10, optimalPoints: 28, optimalBenchPoints: 28 });
+
+  const boosted = analyseBench(
+    { picks: makePicks({ benchMultiplier: 1 }), active_chip: 'bboost' },
+    playerData,
+    { elementTypes: ELEMENT_TYPES }
+  );
+  assert.equal(boosted.benchPoints, 0);
+  assert.equal(boosted.optimalPoints, boosted.points);
+});
+
+test('transfers are scored until either player moves again, net of hits', () => {
+  const gwPlayerData = {};
+  for (let gw = 1; gw <= 5; gw++) gwPlayerData[gw] = { 20: { points: 6 }, 21: { points: 2 }, 22: { points: 1 }, 23: { points: 9 } };
+  const transfers = [
+    { event: 2, element_in: 20, element_out: 21, time: '2025-08-20T10:00:00Z' },
+    { event: 2, element_in: 22, element_out: 23, time: '2025-08-20T11:00:00Z' },
+    // Free Hit in GW3: reverts, so it neither lasts nor ends the GW2 window
+    { event: 3, element_in: 23, element_out: 20, time: '2025-08-27T10:00:00Z' },
+    { event: 5, element_in: 21, element_out: 20, time: '2025-09-10T10:00:00Z' }
+  ];
+  const picksByGW = {
+    2: { active_chip: null, entry_history: { event_transfers_cost: 4 } },
+    3: { active_chip: 'freehit', entry_history: { event_transfers_cost: 0 } },
+    5: { active_chip: null, entry_history: { event_transfers_cost: 0 } }
+  };
+  const result = evaluateTransfers(transfers, { gwPlayerData, picksByGW, lastGW: 5 });
+  assert.deepEqual(result.map(t => [t.gw, t.fromGW, t.toGW, t.gain, t.hitCost, t.net]), [
+    [2, 2, 4, 12, 0, 12],   // 20 for 21 until 20 is sold in GW5: (6 - 2) × 3
+    [2, 2, 5, -32, 4, -36], // the second GW2 transfer took the hit: (1 - 9) × 4
+    [3, 3, 3, 3, 0, 3],
+    [5, 5, 5, -4, 0, -4]
+  ]);
+});
+
+test('toCsv quotes separators, quotes and line breaks and blanks nulls', () => {
+  const csv = toCsv([['team_name', 'teamName'], ['points', r => r.points * 2], ['chip', 'chip']], [
+    { teamName: 'Plain', points: 1, chip: null },
+    { teamName: 'Kane, "Harry"', points: 2 },
+    { teamName: 'Two\nLines', points: 0, chip: 'bboost' }
+  ]);
+  assert.equal(csv, 'team_name,points,chip\r\nPlain,2,\r\n"Kane, ""Harry""",4,\r\n"Two\nLines",0,bboost\r\n');
+});
+
+test('toCsv neutralises text a spreadsheet would run as a formula', () => {
+  const csv = toCsv([['team_name', 'teamName'], ['net', 'net']], [
+    { teamName: '=HYPERLINK("http://x")', net: -4 },
+    { teamName: '+1', net: 2 },
+    { teamName: '-2 FC', net: 0 },
+    { teamName: '@SUM(A1)', net: 0 }
+  ]);
+  assert.equal(csv, 'team_name,net\r\n"\'=HYPERLINK(""http://x"")",-4\r\n\'+1,2\r\n\'-2 FC,0\r\n\'@SUM(A1),0\r\n');
+});
+
+test('parseReportOptions defaults to JSON and the first table', () => {
+  const tables = { standings: {}, history: {} };
+  assert.deepEqual(parseReportOptions({}, tables), { format: 'json', table: 'standings', tables });
+  assert.equal(parseReportOptions({ format: 'csv', table: 'history' }, tables).table, 'history');
+  assert.equal(parseReportOptions({ format: 'xml' }, tables).error, "format must be 'json' or 'csv'.");
+  assert.equal(parseReportOptions({ format: 'csv', table: 'nope' }, tables).error, 'table must be one of: standings, history.');
+});
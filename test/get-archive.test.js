@@ -0,0 +1,130 @@
+// test/get-archive.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-archive');
+const buildHandler = require('../api/build-snapshot');
+const { createMemorySnapshotStore } = require('../api/_lib/snapshots');
+const { runHandler, createTestClient, fixtureTransport } = require('./helpers');
+
+// The fixture season cut off after GW2, so that every gameweek has finished
+const finishedSeasonTransport = () => {
+  const transport = fixtureTransport();
+  const finished = async (url) => {
+    const response = await transport(url);
+    if (!url.includes('/bootstrap-static/')) return response;
+    const data = await response.json();
+    data.events = data.events.filter(e => e.finished);
+    return { ok: true, status: 200, json: async () => data };
+  };
+  finished.requests = transport.requests;
+  return finished;
+};
+
+test('requires a known leagueId and an archived season', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+  const season = await runHandler(handler, { leagueId: '100', season: '2019/20' });
+  assert.equal(season.statusCode, 404);
+  assert.equal(season.body.error, 'Season 2019/20 is not in the archive.');
+});
+
+test("imports members' past seasons once, while the current season runs", async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(transport);
+  const res = await runHandler(handler, { leagueId: '100' }, client);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.currentSeason, { season: '2025/26', finished: false, archived: false });
+
+  // Positions are reconstructed among the members who played each season
+  assert.deepEqual(res.body.seasons.map(s => [s.season, s.source, s.standings.map(r => [r.managerId, r.position])]), [
+    ['2023/24', 'imported', [[1002, 1]]],
+    ['2024/25', 'imported', [[1002, 1], [1001, 2]]]
+  ]);
+  assert.deepEqual(res.body.allTime.map(r => [r.managerId, r.seasons, r.titles, r.totalPoints]), [
+    [1002, 2, 2, 4364],
+    [1001, 1, 0, 2231]
+  ]);
+  assert.deepEqual(res.body.records.map(r => [r.id, r.value, r.season]), [
+    ['mostTitles', 2, null],
+    ['highestSeasonTotal', 2310, '2024/25'],
+    ['bestOverallRank', 208000, '2024/25']
+  ]);
+
+  transport.requests.length = 0;
+  const again = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(again.body.archive.imported, []);
+  assert.equal(again.body.archive.version, 1);
+  assert.equal(transport.requests.some(url => url.includes('/history/')), false);
+});
+
+test('archives a finished season with its season data and gameweek scores', async () => {
+  const client = createTestClient(finishedSeasonTransport());
+  const res = await runHandler(handler, { leagueId: '100' }, client);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.archive.archivedSeason, '2025/26');
+
+  const season = res.body.seasons.find(s => s.season === '2025/26');
+  assert.equal(season.source, 'archived');
+  assert.equal(season.hasSeasonData, true);
+  assert.deepEqual(season.standings.map(r => [r.managerId, r.position, r.totalPoints, r.overallRank]), [
+    [1002, 1, 87, 900000],
+    [1001, 2, 75, 1500000],
+    [1003, 3, 35, 2000000]
+  ]);
+  assert.deepEqual(res.body.warnings.map(w => [w.managerId, w.reason, w.gameweeks]), [[1003, 'not-entered', [1]]]);
+
+  // Bob won GW1 50–40 and GW2 37–35 after his hit
+  const bobVsAlice = res.body.headToHead.find(r => r.managerId === 1002 && r.opponentId === 1001);
+  assert.deepEqual(
+    [bobVsAlice.seasons, bobVsAlice.seasonWins, bobVsAlice.gameweeks, bobVsAlice.gameweekWins],
+    [2, 2, 2, 2]
+  );
+  assert.deepEqual(res.body.records.find(r => r.id === 'highestGameweek'),
+    { id: 'highestGameweek', title: 'Highest gameweek score', value: 50, managerId: 1002, managerName: 'Bob Baker', teamName: 'Bobs Bench', season: '2025/26', gameweek: 1 });
+
+  const stored = await runHandler(handler, { leagueId: '100', season: '2025/26' }, client);
+  assert.equal(stored.statusCode, 200);
+  assert.deepEqual(stored.body.seasonData.transferCosts.map(r => [r.managerId, r.totalTransferCost]), [[1002, 4], [1001, 0], [1003, 0]]);
+
+  // Archived once
+  const again = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual([again.body.archive.version, again.body.archive.archivedSeason], [1, null]);
+});
+
+test('the snapshot job archives leagues once their season has finished', async () => {
+  const running = await runHandler(buildHandler, { leagueId: '100' });
+  assert.deepEqual(running.body.archived, []);
+
+  const client = createTestClient(finishedSeasonTransport());
+  const res = await runHandler(buildHandler, { leagueId: '100' }, client);
+  assert.deepEqual(res.body.archived.map(l => [l.leagueId, l.status, l.seasons]), [
+    ['100', 'archived', ['2023/24', '2024/25', '2025/26']]
+  ]);
+  assert.equal((await client.archive.latest('archive-classic-100')).version, 1);
+});
+
+test('says when archives are not being kept', async () => {
+  assert.equal((await runHandler(handler, { leagueId: '100' })).body.archive.persistent, true);
+
+  const client = createTestClient();
+  client.archive = { ...createMemorySnapshotStore(), persistent: false };
+  const res = await runHandler(handler, { leagueId: '100' }, client);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.archive.persistent, false);
+});
+
+test('exports head-to-head records as CSV', async () => {
+  const res = await runHandler(handler, { leagueId: '100', format: 'csv', table: 'headToHead' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="archive-100-headToHead.csv"');
+  const lines = res.body.trimEnd().split('\r\n');
+  assert.equal(lines[0], 'manager_id,manager_name,team_name,opponent_id,opponent_name,opponent_team_name,' +
+    'seasons,season_wins,season_draws,season_losses,gameweeks,gameweek_wins,gameweek_draws,gameweek_losses');
+  assert.deepEqual(lines.slice(1), [
+    '1001,Alice Archer,Alice FC,1002,Bob Baker,Bobs Bench,1,0,0,1,0,0,0,0',
+    '1002,Bob Baker,Bobs Bench,1001,Alice Archer,Alice FC,1,1,0,0,0,0,0,0'
+  ]);
+});
@@ -0,0 +1,47 @@
+// test/get-awards.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-awards');
+const { runHandler } = require('./helpers');
+
+const winnersOf = (res, id) => {
+  const found = res.body.awards.find(a => a.id === id);
+  return [found.value, found.winners.map(w => (w.gw ? [w.managerId, w.gw] : w.managerId))];
+};
+
+test('requires a known leagueId', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+});
+
+test('groups gameweeks into months by deadline and ranks net of hits', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 200);
+  // GW4's September deadline has nothing finished yet, so only August is listed
+  assert.deepEqual(res.body.months.map(m => [m.month, m.name, m.gameweeks, m.complete]), [
+    ['2025-08', 'August 2025', [1, 2, 3], false]
+  ]);
+  const [august] = res.body.months;
+  assert.deepEqual(august.standings.map(s => [s.managerId, s.points, s.hits, s.net]), [
+    [1002, 91, 4, 87],
+    [1001, 75, 0, 75],
+    [1003, 35, 0, 35]
+  ]);
+  assert.deepEqual(august.winners.map(w => w.managerId), [1002]);
+});
+
+test('season awards share ties and skip awards nobody earned', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.deepEqual(winnersOf(res, 'highest-gameweek'), [50, [[1002, 1]]]);
+  assert.deepEqual(winnersOf(res, 'wooden-spoon'), [35, [[1001, 2], [1003, 2]]]);
+  assert.deepEqual(winnersOf(res, 'green-arrow'), [600000, [[1001, 2]]]);
+  assert.deepEqual(winnersOf(res, 'red-arrow'), [100000, [[1002, 2]]]);
+  assert.deepEqual(winnersOf(res, 'most-hits'), [4, [1002]]);
+  assert.deepEqual(winnersOf(res, 'luckiest-autosubs'), [5, [1001, 1003]]);
+  assert.deepEqual(winnersOf(res, 'bench-warmer'), [null, []]);
+  // Triple Captain Saka 10 × 3, then Foden 6 × 2 as vice
+  assert.deepEqual(winnersOf(res, 'captain-fantastic'), [42, [1002]]);
+});
@@ -0,0 +1,37 @@
+// test/get-chips.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-chips');
+const { runHandler } = require('./helpers');
+
+test('requires a known leagueId', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+});
+
+test('scores each chip against the same GW without it', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 200);
+
+  const [bob, ...others] = res.body.managers;
+  assert.equal(bob.managerId, 1002);
+  assert.deepEqual(bob.chips.map(c => [c.gw, c.chip, c.points, c.counterfactualPoints, c.gain, c.inProgress]), [
+    // Triple Captain: Saka's 10 at ×3 instead of ×2
+    [1, '3xc', 50, 40, 10, false],
+    // Bench Boost: the bench's 11 minus Bernardo's 5 that auto-subs would have added anyway
+    [2, 'bboost', 41, 35, 6, false],
+    // Free Hit in the live GW against the GW2 squad
+    [3, 'freehit', 14, 14, 0, true]
+  ]);
+  assert.equal(bob.totalGain, 16);
+  assert.deepEqual(others.map(m => m.chips), [[], []]);
+
+  assert.deepEqual(res.body.bestPlays.map(p => [p.rank, p.managerId, p.chip]), [
+    [1, 1002, '3xc'],
+    [2, 1002, 'bboost'],
+    [3, 1002, 'freehit']
+  ]);
+});
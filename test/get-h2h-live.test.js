@@ -0,0 +1,68 @@
+// test/get-h2h-live.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-h2h-live');
+const seasonHandler = require('../api/get-season-data');
+const { runHandler, createTestClient, fixtureTransport } = require('./helpers');
+
+test('returns 404 for an unknown H2H league', async () => {
+  const res = await runHandler(handler, { leagueId: '999' });
+  assert.equal(res.statusCode, 404);
+});
+
+test('projects each fixture from live points', async () => {
+  const res = await runHandler(handler, { leagueId: '200' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gameweek, 3);
+
+  const [aliceBob, caraAverage] = res.body.matches;
+  assert.deepEqual(
+    [aliceBob.entry1.projectedScore, aliceBob.entry2.projectedScore, aliceBob.projectedResult, aliceBob.projectedWinner],
+    [23, 23, 'D', null]
+  );
+  // Odd-sized league: Cara plays the rounded league average (23 + 23 + 22) / 3
+  assert.equal(res.body.average, 23);
+  assert.deepEqual(caraAverage.entry2, {
+    managerId: null, teamName: 'AVERAGE', managerName: 'League average', confirmedScore: 23, projectedScore: 23
+  });
+  assert.equal(caraAverage.projectedResult, 'L');
+});
+
+test('leaves managers whose picks failed out of the league average', async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(async (url) => (url.includes('/entry/1002/event/3/picks/')
+    ? { ok: false, status: 500, json: async () => ({}) }
+    : transport(url)));
+  const res = await runHandler(handler, { leagueId: '200' }, client);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.errors.map(e => [e.managerId, e.reason]), [[1002, 'fetch-failed']]);
+  // (23 + 22) / 2, not (23 + 0 + 22) / 3
+  assert.equal(res.body.average, 23);
+  assert.equal(res.body.matches[1].projectedResult, 'L');
+});
+
+test('recomputes 3/1/0 league points for the projected table', async () => {
+  const res = await runHandler(handler, { leagueId: '200' });
+  assert.deepEqual(
+    res.body.results.map(r => [r.managerId, r.result, r.leaguePoints, r.projectedLeaguePoints, r.currentPosition]),
+    [[1002, 'D', 6, 7, 1], [1001, 'D', 3, 4, 2], [1003, 'L', 0, 0, 3]]
+  );
+  assert.equal(res.body.results[0].projectedPointsFor, 83 + 23);
+});
+
+test('season data accepts H2H leagues', async () => {
+  const res = await runHandler(seasonHandler, { leagueId: '200', leagueType: 'h2h' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.leagueType, 'h2h');
+  assert.equal(res.body.managerCount, 3);
+  // Contributions are ordered by FPL points (points_for), not H2H league points
+  assert.deepEqual(res.body.playerContributions.managers.map(m => [m.managerId, m.totalPoints]), [
+    [1002, 83], [1001, 75], [1003, 35]
+  ]);
+
+  const bad = await runHandler(seasonHandler, { leagueId: '200', leagueType: 'cup' });
+  assert.equal(bad.statusCode, 400);
+});
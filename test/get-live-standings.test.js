@@ -0,0 +1,125 @@
+// test/get-live-standings.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-live-standings');
+const { runHandler, fixtureTransport, createTestClient } = require('./helpers');
+
+const byManager = (res) => Object.fromEntries(res.body.results.map(r => [r.managerId, r]));
+
+test('requires a leagueId', async () => {
+  const res = await runHandler(handler, {});
+  assert.equal(res.statusCode, 400);
+});
+
+test('returns 404 for an unknown league', async () => {
+  const res = await runHandler(handler, { leagueId: '999' });
+  assert.equal(res.statusCode, 404);
+});
+
+test('reports confirmed and projected points for the current GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gameweek, 3);
+  assert.equal(res.body.managerCount, 3);
+  assert.equal(res.body.leagueName, 'Test League');
+
+  const alice = byManager(res)[1001];
+  assert.deepEqual(
+    {
+      confirmedGwPoints: alice.confirmedGwPoints,
+      projectedGwPoints: alice.projectedGwPoints,
+      confirmedPoints: alice.confirmedPoints,
+      projectedPoints: alice.projectedPoints,
+      provisionalBonus: alice.provisionalBonus,
+      livePoints: alice.livePoints,
+      pointsThisWeek: alice.pointsThisWeek
+    },
+    {
+      confirmedGwPoints: 12,
+      // + Bernardo 2 off the bench, + provisional bonus Saka 3 × 2, Foden 2, Havertz 1
+      projectedGwPoints: 23,
+      confirmedPoints: 87,
+      projectedPoints: 98,
+      provisionalBonus: 9,
+      livePoints: 98,
+      pointsThisWeek: 23
+    }
+  );
+});
+
+test('only starters whose fixtures are over are projected as auto-subbed', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  const alice = byManager(res)[1001];
+  // Gabriel's match is over without him; Munoz, Hall etc. have yet to kick off
+  assert.deepEqual(alice.projectedAutoSubs.map(s => [s.elementOut, s.elementIn, s.benchSlot]), [[3, 12, 2]]);
+  assert.match(alice.projectedAutoSubs[0].reason, /DEF 3 did not play; replaced by MID 12/);
+  assert.deepEqual(alice.projectedCaptain, { element: 8, multiplier: 2, promotedFrom: null });
+});
+
+test('ranks by projected points and compares with last GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.deepEqual(
+    res.body.results.map(r => [r.managerId, r.currentPosition, r.lastGameweekTotalPoints, r.changeDirection]),
+    [[1002, 1, 87, 'same'], [1001, 2, 75, 'same'], [1003, 3, 35, 'same']]
+  );
+  assert.equal(byManager(res)[1002].activeChip, 'freehit');
+  assert.equal(byManager(res)[1003].projectedGwPoints, 22);
+});
+
+test('format=csv downloads the live table', async () => {
+  const res = await runHandler(handler, { leagueId: '100', format: 'csv' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="live-standings-100-gw3-standings.csv"');
+  const [header, first] = res.body.split('\r\n');
+  assert.equal(header.split(',').slice(0, 5).join(','), 'gameweek,position,manager_id,manager_name,team_name');
+  assert.match(first, /^3,1,1002,Bob Baker,Bobs Bench,freehit,/);
+
+  const bad = await runHandler(handler, { leagueId: '100', format: 'xlsx' });
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body, { error: "format must be 'json' or 'csv'." });
+});
+
+test('flags managers whose picks failed or were malformed instead of scoring them 0', async () => {
+  const fixtures = fixtureTransport();
+  const transport = async (url) => {
+    if (url.includes('/entry/1001/event/3/picks/')) return { ok: false, status: 503, json: async () => ({}) };
+    if (url.includes('/entry/1003/event/3/picks/')) return { ok: true, status: 200, json: async () => ({ picks: null }) };
+    return fixtures(url);
+  };
+  const res = await runHandler(handler, { leagueId: '100' }, createTestClient(transport));
+  assert.equal(res.statusCode, 200);
+
+  const rows = byManager(res);
+  assert.equal(rows[1001].degraded, true);
+  assert.equal(rows[1001].projectedPoints, rows[1001].lastWeekPoints);
+  assert.equal(rows[1002].degraded, false);
+  assert.deepEqual(res.body.warnings, []);
+  assert.deepEqual(res.body.errors.map(e => [e.managerId, e.managerName, e.reason, e.gameweeks]), [
+    [1001, 'Alice Archer', 'fetch-failed', [3]],
+    [1003, 'Cara Cole', 'malformed', [3]]
+  ]);
+});
+
+test('logs a failed previous-GW fetch and derives last GW\'s total instead', async () => {
+  const fixtures = fixtureTransport();
+  const transport = async (url) => (url.includes('/entry/1002/event/2/picks/') ? { ok: false, status: 503, json: async () => ({}) } : fixtures(url));
+  const res = await runHandler(handler, { leagueId: '100' }, createTestClient(transport));
+  assert.equal(res.statusCode, 200);
+
+  const rows = byManager(res);
+  assert.equal(rows[1002].degraded, false);
+  assert.equal(rows[1002].lastGameweekTotalPoints, 87);
+  assert.deepEqual(res.body.errors.map(e => [e.managerId, e.reason, e.gameweeks]), [[1002, 'fetch-failed', [2]]]);
+});
+
+test('reports missing live data as a league-wide error', async () => {
+  const fixtures = fixtureTransport();
+  const transport = async (url) => (url.includes('/event/3/live/') ? { ok: false, status: 500, json: async () => ({}) } : fixtures(url));
+  const res = await runHandler(handler, { leagueId: '100' }, createTestClient(transport));
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.errors.map(e => [e.managerId, e.reason, e.gameweeks]), [[null, 'live-unavailable', [3]]]);
+  assert.equal(res.body.results.every(r => r.degraded === false), true);
+});
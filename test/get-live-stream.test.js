@@ -0,0 +1,148 @@
+// test/get-live-stream.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const handler = require('../api/get-live-stream');
+const { diffStandings, diffPlayerEvents, createLiveHub } = require('../api/_lib/stream');
+const { runHandler, createTestClient, createResponse } = require('./helpers');
+
+const row = (managerId, currentPosition, projectedPoints, extra = {}) => ({
+  managerId,
+  currentPosition,
+  projectedPoints,
+  confirmedPoints: projectedPoints,
+  projectedGwPoints: 0,
+  confirmedGwPoints: 0,
+  provisionalBonus: 0,
+  projectedAutoSubs: [],
+  ...extra
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 500 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  assert.ok(condition(), 'timed out waiting for the stream');
+};
+
+// Parse "event: x\ndata: {...}\n\n" blocks written to the response
+const parseEvents = (chunks) => chunks.join('').split('\n\n')
+  .map(block => block.match(/^event: (\w+)\ndata: (.*)$/s))
+  .filter(Boolean)
+  .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+
+test('diffStandings reports moved rows with point and position deltas', () => {
+  const previous = [row(1, 1, 90), row(2, 2, 85), row(3, 3, 60)];
+  const next = [row(2, 1, 95), row(1, 2, 90), row(3, 3, 60), row(4, 4, 10)];
+  assert.deepEqual(diffStandings(previous, next).map(c => [c.managerId, c.pointsDelta, c.positionDelta]), [
+    [2, 10, 1],
+    [1, 0, -1],
+    [4, 0, 0]
+  ]);
+});
+
+test('diffPlayerEvents reports goals, assists and bonus for owned players only', () => {
+  const owners = new Map([[8, [1001, 1002]], [9, [1001]]]);
+  const previous = {
+    8: { name: 'Saka', goalsScored: 0, assists: 0, bonus: 0 },
+    9: { name: 'Foden', goalsScored: 1, assists: 0, bonus: 2 }
+  };
+  const next = {
+    8: { name: 'Saka', goalsScored: 1, assists: 1, bonus: 3 },
+    9: { name: 'Foden', goalsScored: 0, assists: 0, bonus: 2 },
+    10: { name: 'Unowned', goalsScored: 2, assists: 0, bonus: 0 }
+  };
+  assert.deepEqual(diffPlayerEvents(previous, next, owners), [
+    { type: 'goal', element: 8, name: 'Saka', count: 1, total: 1, owners: [1001, 1002] },
+    { type: 'assist', element: 8, name: 'Saka', count: 1, total: 1, owners: [1001, 1002] },
+    { type: 'bonus', element: 8, name: 'Saka', count: 3, total: 3, owners: [1001, 1002] },
+    // Ruled out by VAR
+    { type: 'goal', element: 9, name: 'Foden', count: -1, total: 0, owners: [1001] }
+  ]);
+});
+
+test('the hub polls once per league and pushes snapshot, updates and end', async () => {
+  const owners = new Map([[8, [1]]]);
+  const snapshots = [
+    { gameweek: 3, live: true, leagueName: 'L', results: [row(1, 1, 50)], players: { 8: { name: 'Saka', goalsScored: 0, assists: 0, bonus: 0 } }, owners },
+    { gameweek: 3, live: true, leagueName: 'L', results: [row(1, 1, 50)], players: { 8: { name: 'Saka', goalsScored: 0, assists: 0, bonus: 0 } }, owners },
+    { gameweek: 3, live: true, leagueName: 'L', results: [row(1, 1, 56)], players: { 8: { name: 'Saka', goalsScored: 1, assists: 0, bonus: 0 } }, owners },
+    { gameweek: 3, live: false, leagueName: 'L', results: [row(1, 1, 56)], players: { 8: { name: 'Saka', goalsScored: 1, assists: 0, bonus: 0 } }, owners }
+  ];
+  let loads = 0;
+  const load = async () => snapshots[Math.min(loads++, snapshots.length - 1)];
+  const hub = createLiveHub({ interval: 1 });
+
+  const first = [];
+  const second = [];
+  hub.subscribe('100', load, (event, data) => first.push({ event, data }));
+  hub.subscribe('100', load, (event, data) => second.push({ event, data }));
+  await waitFor(() => first.some(e => e.event === 'end'));
+
+  assert.equal(loads, 4);
+  assert.equal(hub.size(), 0);
+  // The unchanged second poll sends nothing
+  assert.deepEqual(first.map(e => e.event), ['snapshot', 'update', 'end']);
+  assert.deepEqual(second, first);
+  const update = first[1].data;
+  assert.deepEqual(update.changes.map(c => [c.managerId, c.pointsDelta]), [[1, 6]]);
+  assert.deepEqual(update.events.map(e => [e.type, e.name, e.count]), [['goal', 'Saka', 1]]);
+  assert.equal('players' in first[0].data, false);
+});
+
+test('the hub stops polling when the last subscriber leaves', async () => {
+  let loads = 0;
+  const hub = createLiveHub({ interval: 1 });
+  const unsubscribe = hub.subscribe('100', async () => {
+    loads += 1;
+    return { gameweek: 3, live: true, results: [], players: {}, owners: new Map() };
+  }, () => {});
+  await waitFor(() => loads >= 2);
+  unsubscribe();
+  const stoppedAt = loads;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(loads <= stoppedAt + 1);
+  assert.equal(hub.size(), 0);
+});
+
+test('validates the league before opening a stream', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '100', leagueType: 'cup' })).statusCode, 400);
+  const missing = await runHandler(handler, { leagueId: '999' });
+  assert.equal(missing.statusCode, 404);
+  assert.deepEqual(missing.body, { error: 'League not found. Please check the League ID.' });
+});
+
+test('streams the live table and closes when the browser disconnects', async () => {
+  const req = Object.assign(new EventEmitter(), { method: 'GET', query: { leagueId: '100' }, headers: {} });
+  const res = createResponse();
+  const chunks = [];
+  res.write = (chunk) => chunks.push(chunk);
+  res.end = () => { res.ended = true; };
+
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    const done = handler(req, res, createTestClient());
+    await waitFor(() => parseEvents(chunks).length > 0);
+    req.emit('close');
+    await done;
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+  assert.equal(chunks[0], 'retry: 5000\n\n');
+  const [snapshot] = parseEvents(chunks);
+  assert.equal(snapshot.event, 'snapshot');
+  assert.equal(snapshot.data.gameweek, 3);
+  assert.equal(snapshot.data.live, true);
+  assert.deepEqual(snapshot.data.results.map(r => [r.managerId, r.currentPosition, r.projectedPoints]),
+    [[1002, 1, 110], [1001, 2, 98], [1003, 3, 57]]);
+  assert.deepEqual([snapshot.data.warnings, snapshot.data.errors], [[], []]);
+  assert.equal(res.ended, true);
+});
@@ -0,0 +1,73 @@
+// test/get-manager-profile.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-manager-profile');
+const { runHandler, createTestClient, fixtureTransport } = require('./helpers');
+
+test('requires a known leagueId and a manager in that league', async () => {
+  assert.equal((await runHandler(handler, { leagueId: '100' })).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999', managerId: '1001' })).statusCode, 404);
+  const stranger = await runHandler(handler, { leagueId: '100', managerId: '9' });
+  assert.equal(stranger.statusCode, 404);
+  assert.equal(stranger.body.error, 'Manager not found in this league.');
+});
+
+test("builds a manager's season from history, transfers and picks", async () => {
+  const transport = fixtureTransport();
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1002' }, createTestClient(transport));
+  assert.equal(res.statusCode, 200);
+  // Only Bob's picks are fetched, not the rest of the league's
+  assert.deepEqual(transport.requests.filter(url => url.includes('/picks/')).map(url => url.split('/')[5]), ['1002', '1002', '1002']);
+  const { manager, gameweeks, transfers, chips, contributions, squad, pastSeasons } = res.body;
+
+  assert.equal(manager.teamName, 'Bobs Bench');
+  assert.equal(manager.leagueRank, 1);
+  assert.equal(manager.hits, 4);
+  assert.equal(manager.transferCount, 2);
+
+  // Value and bank in £m, straight from /entry/{id}/history/
+  assert.deepEqual(gameweeks.map(g => [g.gw, g.value, g.bank]), [[1, 100, 4], [2, 100.4, 0], [3, 100.6, 2]]);
+  assert.deepEqual(gameweeks.map(g => [g.rank, g.overallRank]), [[900000, 800000], [1700000, 900000], [6100000, null]]);
+  // Captain points after the multiplier: Triple Captain in GW1, the vice in GW2
+  assert.deepEqual(gameweeks.map(g => [g.captain.name, g.captain.points]), [['Saka', 30], ['Foden', 12], ['Saka', 4]]);
+
+  // Free Hit transfers are flagged as free
+  assert.deepEqual(transfers.map(t => [t.gw, t.nameIn, t.nameOut, t.chip]), [
+    [2, 'Haaland', 'Isak', null],
+    [3, 'Mitchell', 'Mateta', 'freehit']
+  ]);
+  assert.deepEqual(chips.map(c => [c.gw, c.chip, c.gain, c.inProgress]), [
+    [1, '3xc', 10, false],
+    [2, 'bboost', 6, false],
+    [3, 'freehit', 0, true]
+  ]);
+
+  assert.deepEqual(contributions.slice(0, 3).map(p => [p.name, p.points]), [['Saka', 30], ['Foden', 14], ['Bernardo', 5]]);
+  assert.equal(squad.length, 15);
+  assert.equal(squad.find(p => p.isCaptain).name, 'Saka');
+  assert.deepEqual(pastSeasons, [
+    { season: '2023/24', totalPoints: 2054, overallRank: 1250000 },
+    { season: '2024/25', totalPoints: 2310, overallRank: 208000 }
+  ]);
+});
+
+test('a late joiner starts at their first gameweek', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1003' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.gameweeks.map(g => g.gw), [2, 3]);
+  assert.deepEqual(res.body.pastSeasons, []);
+  assert.deepEqual(res.body.warnings.map(w => [w.managerId, w.reason, w.gameweeks]), [[1003, 'not-entered', [1]]]);
+});
+
+test('exports transfers as CSV', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1002', format: 'csv', table: 'transfers' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="profile-100-1002-gw3-transfers.csv"');
+  const lines = res.body.trimEnd().split('\r\n');
+  assert.equal(lines[0], 'gameweek,manager_id,manager_name,team_name,time,element_in,name_in,cost_in,element_out,name_out,cost_out,chip');
+  assert.equal(lines.length, 3);
+  assert.match(lines[2], /^3,1002,Bob Baker,Bobs Bench,.*,Mitchell,.*,Mateta,.*,freehit$/);
+});
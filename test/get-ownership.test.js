@@ -0,0 +1,47 @@
+// test/get-ownership.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-ownership');
+const { runHandler } = require('./helpers');
+
+test('validates leagueId, threshold and gameweek', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+  assert.equal((await runHandler(handler, { leagueId: '100', threshold: '0' })).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '100', gameweek: '4' })).statusCode, 400);
+  for (const gameweek of ['3abc', '2.5', '0']) {
+    const res = await runHandler(handler, { leagueId: '100', gameweek });
+    assert.deepEqual([res.statusCode, res.body], [400, { error: 'gameweek must be a positive integer.' }]);
+  }
+});
+
+test('reports ownership, captaincy and effective ownership for a GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100', gameweek: '1' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gameweek, 1);
+  // Cara had no team in GW1, so percentages are of Alice and Bob; Bob's TC counts ×3
+  assert.deepEqual(res.body.ownership[0], {
+    element: 8, name: 'Saka', position: 3,
+    owners: 2, ownership: 100, captains: 2, captaincy: 100, effectiveOwnership: 250, points: 10
+  });
+});
+
+test('differential points and live threats per manager', async () => {
+  const res = await runHandler(handler, { leagueId: '100', threshold: '50' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gameweek, 3);
+  assert.equal(res.body.threatsGameweek, 3);
+
+  const byManager = Object.fromEntries(res.body.managers.map(m => [m.managerId, m]));
+  // Haaland was Bob's alone in GW2 (his Bench Boost week)
+  assert.deepEqual(byManager[1002].gameweeks.map(g => [g.gw, g.differentialPoints]), [[1, 0], [2, 2], [3, 0]]);
+  assert.equal(byManager[1002].differentialPoints, 2);
+
+  // Cara doesn't own Saka; both other managers start him
+  assert.deepEqual(byManager[1003].threats[0], { element: 8, name: 'Saka', exposure: 1, points: 2, pointsAgainst: 2 });
+  // Bob owns Foden once, the others hold him at 1 and 2
+  assert.deepEqual(byManager[1002].threats[0], { element: 9, name: 'Foden', exposure: 0.5, points: 2, pointsAgainst: 1 });
+});
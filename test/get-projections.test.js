@@ -0,0 +1,117 @@
+// test/get-projections.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-projections');
+const { availability, fixturesByTeam, projectPlayer, createRandom, simulateFinishes } = require('../api/_lib/projections');
+const { runHandler } = require('./helpers');
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+test('availability follows FPL status flags and chance of playing', () => {
+  assert.equal(availability({ status: 'a', chance_of_playing_next_round: null }), 1);
+  assert.equal(availability({ status: 'd', chance_of_playing_next_round: 75 }), 0.75);
+  assert.equal(availability({ status: 'i', chance_of_playing_next_round: null }), 0);
+  assert.equal(availability({ status: 's', chance_of_playing_next_round: 0 }), 0);
+});
+
+test('players are projected per fixture by difficulty, with blanks and doubles', () => {
+  const fixtures = [
+    { event: 4, team_h: 1, team_a: 2, team_h_difficulty: 5, team_a_difficulty: 1 },
+    { event: 5, team_h: 2, team_a: 3, team_h_difficulty: 3, team_a_difficulty: 3 },
+    { event: 5, team_h: 4, team_a: 2, team_h_difficulty: 2, team_a_difficulty: 2 },
+    { event: 6, team_h: 2, team_a: 1, team_h_difficulty: 3, team_a_difficulty: 3 }
+  ];
+  const byTeam = fixturesByTeam(fixtures, [4, 5]);
+  assert.deepEqual(byTeam[1].map(f => [f.gw, f.opponent, f.home, f.difficulty]), [[4, 2, true, 5]]);
+  assert.deepEqual(byTeam[3].map(f => f.gw), [5]);
+
+  const player = { team: 2, form: '6.0', points_per_game: '4.0', status: 'a', chance_of_playing_next_round: null };
+  const projection = projectPlayer(player, byTeam);
+  // 5 points a fixture: ×1.25 (FDR 1), then a double GW at ×1 and ×1.1
+  assert.equal(projection.fixtures.length, 3);
+  assert.ok(Math.abs(projection.expected - (6.25 + 5 + 5.5)) < 1e-9);
+  assert.equal(projection.variance, 3 * projection.expected);
+  // Team 3 blanks in GW4
+  assert.equal(projectPlayer({ ...player, team: 3 }, byTeam).fixtures.length, 1);
+});
+
+test('simulated finishes are seeded and every place is filled once per run', () => {
+  const players = new Map([[1, { expected: 10, variance: 30 }], [2, { expected: 10, variance: 30 }]]);
+  const managers = [
+    { managerId: 'a', currentPoints: 100, xi: [{ element: 1, multiplier: 1 }] },
+    { managerId: 'b', currentPoints: 98, xi: [{ element: 2, multiplier: 1 }] },
+    { managerId: 'c', currentPoints: 20, xi: [{ element: 1, multiplier: 2 }] }
+  ];
+  const run = () => simulateFinishes(managers, players, { simulations: 2000, random: createRandom(7) });
+  const finishes = run();
+  assert.deepEqual(finishes, run());
+
+  for (const finish of finishes) assert.ok(Math.abs(sum(finish.positions) - 1) < 1e-9);
+  for (let place = 0; place < 3; place++) {
+    assert.ok(Math.abs(sum(finishes.map(f => f.positions[place])) - 1) < 1e-9);
+  }
+  // A and B are close; C is out of reach
+  assert.ok(finishes[0].positions[0] > 0.5 && finishes[0].positions[0] < 0.7);
+  assert.equal(finishes[2].positions[2], 1);
+  assert.ok(Math.abs(finishes[2].expectedPoints - 40) < 1);
+});
+
+test('validates the league and simulation options', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+  const bad = await runHandler(handler, { leagueId: '100', simulations: '10' });
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body, { error: 'simulations must be an integer between 100 and 50000.' });
+  assert.equal((await runHandler(handler, { leagueId: '100', gameweeks: '0' })).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '100', seed: '-1' })).statusCode, 400);
+  const large = await runHandler(handler, { leagueId: '100', maxManagers: '201' });
+  assert.deepEqual([large.statusCode, large.body], [400, { error: 'maxManagers must be at most 200 for projections.' }]);
+
+  const top = await runHandler(handler, { leagueId: '100', maxManagers: '2', seed: '1', simulations: '100' });
+  assert.deepEqual([top.body.truncated, top.body.managerCount], [true, 2]);
+  assert.ok(top.body.managers.every(m => m.positions.length === 2));
+});
+
+test('projects each XI over the coming GWs and returns finishing odds', async () => {
+  const query = { leagueId: '100', seed: '42', simulations: '1000' };
+  const res = await runHandler(handler, query);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gameweek, 3);
+  assert.deepEqual(res.body.gameweeks, [4, 5]);
+  assert.deepEqual(res.body.managers.map(m => [m.managerId, m.currentPosition, m.currentPoints]),
+    [[1002, 1, 99], [1001, 2, 87], [1003, 3, 47]]);
+
+  const [bob, alice, cara] = res.body.managers;
+  // Bob's Free Hit squad reverts to his GW2 team
+  assert.deepEqual(bob.xi.map(p => p.element), alice.xi.map(p => p.element));
+  // Injured Havertz is projected to score nothing; doubtful Mateta at half rate
+  const havertz = alice.xi.find(p => p.name === 'Havertz');
+  assert.equal(havertz.expectedPoints, 0);
+  assert.deepEqual(havertz.fixtures.map(f => [f.gw, f.opponent, f.home]), [[4, 'MCI', false], [5, 'CRY', true]]);
+  assert.equal(cara.xi.find(p => p.multiplier === 2).name, 'Foden');
+
+  for (const manager of res.body.managers) {
+    assert.ok(Math.abs(sum(manager.positions) - 1) < 1e-9);
+    assert.equal(manager.titleProbability, manager.positions[0]);
+    assert.equal(manager.relegationProbability, manager.positions[2]);
+  }
+  assert.equal(cara.relegationProbability, 1);
+
+  const again = await runHandler(handler, query);
+  assert.deepEqual(again.body.managers, res.body.managers);
+
+  const oneWeek = await runHandler(handler, { ...query, gameweeks: '1' });
+  assert.deepEqual(oneWeek.body.gameweeks, [4]);
+  assert.ok(oneWeek.body.managers.every(m => m.xi.every(p => p.fixtures.every(f => f.gw === 4))));
+});
+
+test('format=csv exports one row per manager and finishing place', async () => {
+  const res = await runHandler(handler, { leagueId: '100', seed: '1', simulations: '100', format: 'csv', table: 'positions' });
+  assert.equal(res.statusCode, 200);
+  const lines = res.body.trim().split('\r\n');
+  assert.equal(lines[0], 'gameweek,manager_id,manager_name,team_name,position,probability');
+  assert.equal(lines.length, 1 + 3 * 3);
+});
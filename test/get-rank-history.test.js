@@ -0,0 +1,25 @@
+// test/get-rank-history.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-rank-history');
+const { runHandler } = require('./helpers');
+
+test('requires a known leagueId', async () => {
+  assert.equal((await runHandler(handler, {})).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '999' })).statusCode, 404);
+});
+
+test('ranks the league after every finished GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.gameweeks, [1, 2]);
+  assert.deepEqual(res.body.managers.map(m => [m.managerId, m.history.map(h => [h.totalPoints, h.rank])]), [
+    [1002, [[50, 1], [87, 1]]],
+    [1001, [[40, 2], [75, 2]]],
+    // Cara joined in GW2 and is unranked before that
+    [1003, [[null, null], [35, 3]]]
+  ]);
+});
@@ -0,0 +1,196 @@
+// test/get-season-data.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-season-data');
+const { runHandler, fixtureTransport, createTestClient } = require('./helpers');
+
+test('requires a leagueId', async () => {
+  const res = await runHandler(handler, {});
+  assert.equal(res.statusCode, 400);
+});
+
+test('returns 404 for an unknown league', async () => {
+  const res = await runHandler(handler, { leagueId: '999' });
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, { error: 'League not found. Please check the League ID.' });
+});
+
+test('computes auto-subs, transfer costs and contributions over finished GWs', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 200);
+
+  const { gameweek, managerCount, truncated, autoSubs, transferCosts, playerContributions } = res.body;
+  assert.equal(gameweek, 3);
+  assert.equal(managerCount, 3);
+  assert.equal(truncated, false);
+
+  // FPL's own automatic_subs: Bernardo (5) replaced the 0-minute Saka in GW2
+  assert.deepEqual(autoSubs, [
+    { managerId: 1001, managerName: 'Alice Archer', teamName: 'Alice FC', totalAutoSubPoints: 5 },
+    { managerId: 1003, managerName: 'Cara Cole', teamName: 'Cara United', totalAutoSubPoints: 5 },
+    { managerId: 1002, managerName: 'Bob Baker', teamName: 'Bobs Bench', totalAutoSubPoints: 0 }
+  ]);
+
+  assert.deepEqual(transferCosts, [
+    { managerId: 1002, managerName: 'Bob Baker', teamName: 'Bobs Bench', totalTransferCost: 4 },
+    { managerId: 1001, managerName: 'Alice Archer', teamName: 'Alice FC', totalTransferCost: 0 },
+    { managerId: 1003, managerName: 'Cara Cole', teamName: 'Cara United', totalTransferCost: 0 }
+  ]);
+
+  const byManager = Object.fromEntries(playerContributions.managers.map(m => [m.managerId, m]));
+  assert.deepEqual(playerContributions.managers.map(m => m.managerId), [1002, 1001, 1003]);
+  assert.deepEqual(Object.keys(byManager[1001]), ['managerId', 'managerName', 'teamName', 'totalPoints', 'players']);
+  assert.deepEqual(byManager[1001].players[0], { id: 8, name: 'Saka', position: 3, points: 20 });
+});
+
+test('0-minute captain: vice-captain doubles and the sub counts once', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  const alice = res.body.playerContributions.managers.find(m => m.managerId === 1001);
+  const points = Object.fromEntries(alice.players.map(p => [p.name, p.points]));
+  // GW1: Saka 10 × 2. GW2: Saka blanks, Foden 6 × 2 as vice, Bernardo 5 off the bench
+  assert.equal(points.Saka, 20);
+  assert.equal(points.Foden, 2 + 12);
+  assert.equal(points.Bernardo, 5);
+  assert.equal(points.Sels, undefined);
+});
+
+test('triple captain and bench boost weeks count every multiplier', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  const bob = res.body.playerContributions.managers.find(m => m.managerId === 1002);
+  const points = Object.fromEntries(bob.players.map(p => [p.name, p.points]));
+  assert.equal(points.Saka, 30);
+  // Bench Boost in GW2: all four bench players scored, vice-captain still promoted
+  assert.equal(points.Sels, 2);
+  assert.equal(points.Timber, 2);
+  assert.equal(points.Haaland, 2);
+  assert.equal(points.Bernardo, 5);
+  assert.equal(points.Foden, 2 + 12);
+});
+
+test('mid-season joiner with 404 picks is scored from their first GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  const cara = res.body.playerContributions.managers.find(m => m.managerId === 1003);
+  const total = cara.players.reduce((sum, p) => sum + p.points, 0);
+  assert.equal(total, 35);
+});
+
+test('bench efficiency reports points left on the bench per GW', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  const byManager = Object.fromEntries(res.body.benchEfficiency.map(m => [m.managerId, m]));
+  // Alice's bench sat on 8 in GW1 and 6 in GW2 (after Bernardo came on)
+  assert.deepEqual(byManager[1001].gameweeks.map(g => [g.gw, g.points, g.benchPoints]), [[1, 40, 8], [2, 35, 6]]);
+  assert.equal(byManager[1001].efficiency, 100);
+  // Nothing is left on the bench in Bob's Bench Boost week
+  assert.deepEqual(byManager[1002].gameweeks.map(g => g.benchPoints), [8, 0]);
+  assert.deepEqual(byManager[1003].gameweeks.map(g => g.gw), [2]);
+});
+
+test('maxManagers caps the managers processed', async () => {
+  const res = await runHandler(handler, { leagueId: '100', maxManagers: '2' });
+  assert.equal(res.body.managerCount, 2);
+  assert.equal(res.body.truncated, true);
+  assert.equal(res.body.autoSubs.length, 2);
+
+  const bad = await runHandler(handler, { leagueId: '100', maxManagers: 'lots' });
+  assert.equal(bad.statusCode, 400);
+});
+
+test('exports each table as CSV with manager ids and gameweeks', async () => {
+  const res = await runHandler(handler, { leagueId: '100', format: 'csv', table: 'benchEfficiency' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="season-100-gw3-benchEfficiency.csv"');
+  const lines = res.body.trimEnd().split('\r\n');
+  assert.equal(lines[0], 'gameweek,manager_id,manager_name,team_name,points,bench_points,optimal_points,optimal_bench_points');
+  assert.ok(lines.includes('1,1001,Alice Archer,Alice FC,40,8,40,40'));
+  assert.equal(lines.length, 1 + 2 + 2 + 1);
+
+  const autoSubs = await runHandler(handler, { leagueId: '100', format: 'csv' });
+  assert.equal(autoSubs.body.split('\r\n')[1], '3,1001,Alice Archer,Alice FC,5');
+
+  const bad = await runHandler(handler, { leagueId: '100', format: 'csv', table: 'results' });
+  assert.equal(bad.statusCode, 400);
+  assert.equal(bad.body.error, 'table must be one of: autoSubs, transferCosts, benchEfficiency, playerContributions.');
+});
+
+test('reports the late joiner as a warning and failed GWs as errors', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.deepEqual(res.body.errors, []);
+  assert.deepEqual(res.body.warnings, [{
+    managerId: 1003,
+    managerName: 'Cara Cole',
+    teamName: res.body.autoSubs.find(r => r.managerId === 1003).teamName,
+    reason: 'not-entered',
+    gameweeks: [1],
+    message: 'No team for these gameweeks; the manager joined later.'
+  }]);
+
+  const fixtures = fixtureTransport();
+  const transport = async (url) => {
+    if (/\/entry\/1002\/event\/[12]\/picks\//.test(url)) throw new Error('socket hang up');
+    return fixtures(url);
+  };
+  const degraded = await runHandler(handler, { leagueId: '100' }, createTestClient(transport));
+  assert.equal(degraded.statusCode, 200);
+  assert.deepEqual(degraded.body.errors.map(e => [e.managerId, e.reason, e.gameweeks]), [[1002, 'fetch-failed', [1, 2]]]);
+});
+
+test('tops up the season snapshot with only the newly finished GW', async () => {
+  const fixtures = fixtureTransport();
+  let gw2Finished = false;
+  const transport = async (url) => {
+    const response = await fixtures(url);
+    if (!url.includes('/bootstrap-static/')) return response;
+    const bootstrap = await response.json();
+    const events = bootstrap.events.map(e => (e.id === 2 ? { ...e, finished: gw2Finished } : e));
+    return { ...response, json: async () => ({ ...bootstrap, events }) };
+  };
+  const client = createTestClient(transport);
+  const picksFetched = () => fixtures.requests.filter(url => url.includes('/picks/'));
+
+  const first = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(first.body.snapshot.updatedGameweeks, [1]);
+  assert.equal(first.body.snapshot.version, 1);
+  fixtures.requests.length = 0;
+
+  gw2Finished = true;
+  const second = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(second.body.snapshot.updatedGameweeks, [2]);
+  assert.equal(second.body.snapshot.version, 2);
+  assert.equal(picksFetched().every(url => url.includes('/event/2/picks/')), true);
+
+  // Same totals as computing the whole season in one go
+  const full = await runHandler(handler, { leagueId: '100' });
+  for (const table of ['autoSubs', 'transferCosts', 'benchEfficiency', 'playerContributions', 'warnings']) {
+    assert.deepEqual(second.body[table], full.body[table]);
+  }
+
+  fixtures.requests.length = 0;
+  const third = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(third.body.snapshot.updatedGameweeks, []);
+  assert.equal(third.body.snapshot.version, 2);
+  assert.deepEqual(picksFetched(), []);
+});
+
+test('failed picks are retried on the next request instead of being stored', async () => {
+  const fixtures = fixtureTransport();
+  let failing = true;
+  const transport = async (url) => {
+    if (failing && url.includes('/entry/1002/event/2/picks/')) return { ok: false, status: 503, json: async () => ({}) };
+    return fixtures(url);
+  };
+  const client = createTestClient(transport);
+
+  const degraded = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(degraded.body.errors.map(e => [e.managerId, e.reason, e.gameweeks]), [[1002, 'fetch-failed', [2]]]);
+
+  failing = false;
+  const recovered = await runHandler(handler, { leagueId: '100' }, client);
+  assert.deepEqual(recovered.body.errors, []);
+  assert.deepEqual(recovered.body.snapshot.updatedGameweeks, [2]);
+  const full = await runHandler(handler, { leagueId: '100' });
+  assert.deepEqual(recovered.body.transferCosts, full.body.transferCosts);
+});
@@ -0,0 +1,152 @@
+// test/get-what-if.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/get-what-if');
+const { runHandler, createTestClient, fixtureTransport } = require('./helpers');
+
+test('requires leagueId and managerId', async () => {
+  const res = await runHandler(handler, { leagueId: '100' });
+  assert.equal(res.statusCode, 400);
+});
+
+test('a manager without transfers gets a single GW1 branch', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1001' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.actual, [
+    { gw: 1, points: 40 },
+    { gw: 2, points: 75 },
+    { gw: 3, points: 87 }
+  ]);
+  // GW3 is in progress: the branch applies auto-subs to everyone yet to play
+  assert.deepEqual(res.body.branches, [
+    { freezeGW: 1, label: 'GW1 freeze', data: [{ gw: 1, points: 40 }, { gw: 2, points: 75 }, { gw: 3, points: 92 }] }
+  ]);
+});
+
+test('free hit weeks are not freeze points and chips are normalised', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1002' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.branches.map(b => b.freezeGW), [1, 2]);
+
+  const [gw1, gw2] = res.body.branches;
+  // Triple Captain counts in the freeze GW only, then drops to a normal captain
+  // (35 = 18 from the XI + Foden 6 × 2 as vice + Bernardo 5 off the bench)
+  assert.deepEqual(gw1.data, [{ gw: 1, points: 50 }, { gw: 2, points: 85 }, { gw: 3, points: 102 }]);
+  // Bench Boost counts in the freeze GW only; afterwards the bench is a bench again
+  assert.deepEqual(gw2.data, [{ gw: 2, points: 91 }, { gw: 3, points: 110 }]);
+});
+
+test('a mid-season joiner has no actual points before joining', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1003' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.actual.map(a => a.points), [null, 35, 47]);
+  assert.deepEqual(res.body.branches, []);
+});
+
+test('captaincy mode ranks the league by captaincy points lost', async () => {
+  const res = await runHandler(handler, { leagueId: '100', mode: 'captaincy', managerId: '1002' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.gameweeks, [1, 2]);
+  assert.deepEqual(res.body.mostCaptained.map(m => [m.gw, m.element, m.count]), [[1, 8, 2], [2, 8, 2]]);
+  assert.deepEqual(res.body.ranking.map(r => [r.managerId, r.rank, r.totalLost]), [
+    [1001, 1, 0], [1002, 1, 0], [1003, 1, 0]
+  ]);
+
+  // Bob's Triple Captain on Saka (10) beat the vice Foden (2) by 8 × 2
+  const bob = res.body.manager;
+  assert.equal(bob.managerId, 1002);
+  assert.deepEqual(bob.series.map(s => [s.gw, s.multiplier, s.viceDelta, s.cumulativeLost]), [
+    [1, 3, -16, 0],
+    [2, 2, 0, 0]
+  ]);
+  // Saka blanked in GW2, so the armband went to the vice either way
+  assert.equal(bob.series[1].promotedFrom, 8);
+  assert.equal(bob.series[1].mostCaptainedDelta, 0);
+
+  // Cara joined in GW2 and has no GW1 entry
+  const cara = res.body.managers.find(m => m.managerId === 1003);
+  assert.deepEqual(cara.series.map(s => s.gw), [2]);
+});
+
+test('captaincy mode rejects unknown modes and leagues', async () => {
+  const bad = await runHandler(handler, { leagueId: '100', mode: 'bench' });
+  assert.equal(bad.statusCode, 400);
+  const missing = await runHandler(handler, { leagueId: '999', mode: 'captaincy' });
+  assert.equal(missing.statusCode, 404);
+});
+
+test('transfers mode ranks every transfer in the league by net gain', async () => {
+  const res = await runHandler(handler, { leagueId: '100', mode: 'transfers', managerId: '1002' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.ranking.map(t => [t.rank, t.managerId, t.gw, t.nameIn, t.nameOut, t.net]), [
+    [1, 1002, 3, 'Mitchell', 'Mateta', 0],
+    [2, 1002, 2, 'Haaland', 'Isak', -2]
+  ]);
+
+  const bob = res.body.manager;
+  // Haaland for Isak in GW2, held through the live GW3: 4 - 2, less Bob's -4 hit
+  assert.deepEqual([bob.worst.fromGW, bob.worst.toGW, bob.worst.gain, bob.worst.hitCost], [2, 3, 2, 4]);
+  // The Free Hit transfer only counts for its own GW
+  assert.deepEqual([bob.best.chip, bob.best.toGW], ['freehit', 3]);
+  assert.equal(bob.totalNet, -2);
+
+  const alice = res.body.managers.find(m => m.managerId === 1001);
+  assert.deepEqual([alice.transferCount, alice.best, alice.worst], [0, null, null]);
+});
+
+test('transfers mode leaves out a manager whose transfers could not be fetched', async () => {
+  const transport = fixtureTransport();
+  const client = createTestClient(async (url) => (url.includes('/entry/1001/transfers/')
+    ? { ok: false, status: 500, json: async () => ({}) }
+    : transport(url)));
+  const res = await runHandler(handler, { leagueId: '100', mode: 'transfers' }, client);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.managers.map(m => m.managerId).sort(), [1002, 1003]);
+  assert.deepEqual(res.body.errors.map(e => [e.managerId, e.reason, e.message]), [
+    [1001, 'fetch-failed', 'Transfers could not be fetched from FPL after retrying.']
+  ]);
+  assert.equal(res.body.ranking.length, 2);
+});
+
+test('compares a manager with a copy of another league member\'s squad', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: '1002', compareGW: '2' });
+  assert.equal(res.statusCode, 200);
+  const { comparison } = res.body;
+  assert.deepEqual([comparison.type, comparison.managerId, comparison.label], ['manager', 1002, 'Copy Bobs Bench GW2']);
+  // Bob's Bench Boost is undone: Haaland goes back to the bench
+  assert.deepEqual(comparison.squad.filter(p => p.multiplier === 0).map(p => p.name), ['Sels', 'Bernardo', 'Timber', 'Haaland']);
+  // From Alice's own GW1 total; in GW3 Haaland (2) comes off the bench where Isak (0) did
+  assert.deepEqual(comparison.data, [{ gw: 2, points: 75 }, { gw: 3, points: 94 }]);
+  assert.deepEqual(res.body.branches.map(b => b.freezeGW), [1]);
+});
+
+test('compares a manager with the league template', async () => {
+  const res = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: 'template', compareGW: '2' });
+  assert.equal(res.statusCode, 200);
+  const { comparison } = res.body;
+  assert.deepEqual([comparison.type, comparison.managerId, comparison.label], ['template', null, 'League template GW2']);
+  assert.deepEqual(comparison.squad.map(p => p.position), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+  // Everyone owns the same 14; Isak (2 owners) beats Haaland (1) to the last place
+  assert.deepEqual(comparison.squad.slice(11).map(p => p.name), ['Sels', 'Bernardo', 'Mateta', 'Isak']);
+  // Saka is the league's most-captained player
+  assert.deepEqual(comparison.squad.filter(p => p.multiplier === 2).map(p => p.name), ['Saka']);
+  assert.deepEqual(comparison.data, [{ gw: 2, points: 75 }, { gw: 3, points: 92 }]);
+});
+
+test('comparison parameters are validated', async () => {
+  const notInLeague = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: '9', compareGW: '1' });
+  assert.equal(notInLeague.statusCode, 400);
+  const badGW = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: 'template', compareGW: '4' });
+  assert.equal(badGW.statusCode, 400);
+  const badCompare = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: 'best', compareGW: '1' });
+  assert.equal(badCompare.statusCode, 400);
+
+  // Cara had no team in GW1: no comparison, with the reason as a warning
+  const lateJoiner = await runHandler(handler, { leagueId: '100', managerId: '1001', compare: '1003', compareGW: '1' });
+  assert.equal(lateJoiner.statusCode, 200);
+  assert.equal(lateJoiner.body.comparison, null);
+  assert.deepEqual(lateJoiner.body.warnings.map(w => [w.managerId, w.reason, w.gameweeks]), [[1003, 'not-entered', [1]]]);
+});
@@ -0,0 +1,107 @@
+// test/helpers.js — run serverless handlers offline against recorded FPL JSON
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { FplClient } = require('../api/_lib/client');
+const { createRequestCache, createMemoryBackend, createScheduler } = require('../api/_lib/fpl');
+const { createMemorySnapshotStore } = require('../api/_lib/snapshots');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Map an FPL API URL onto a fixture file, mirroring the URL path:
+ *   /entry/1001/event/2/picks/               → entry/1001/event/2/picks.json
+ *   /fixtures/?event=3                       → fixtures/event-3.json
+ *   /leagues-h2h-matches/league/200/?event=3 → leagues-h2h-matches/league/200/event-3.json
+ * Other query parameters (e.g. paging) are ignored.
+ */
+const fixturePath = (url, dir) => {
+  const { pathname, searchParams } = new URL(url);
+  let relative = pathname.replace(/^\/api\//, '').replace(/^\/|\/$/g, '');
+  if (searchParams.has('event')) relative += `/event-${searchParams.get('event')}`;
+  return path.join(dir, `${relative}.json`);
+};
+
+/**
+ * Transport serving recorded JSON from disk; a missing file is a 404, as FPL returns
+ * for picks of a manager who had not joined yet. Every requested URL is recorded.
+ */
+function fixtureTransport(dir = FIXTURES_DIR) {
+  const requests = [];
+  const transport = async (url) => {
+    requests.push(url);
+    const file = fixturePath(url, dir);
+    if (!fs.existsSync(file)) {
+      return { ok: false, status: 404, json: async () => ({ detail: 'Not found.' }) };
+    }
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+  transport.requests = requests;
+  return transport;
+}
+
+/**
+ * A client over the fixture transport with no retry delay, a private cache, snapshot
+ * store and archive, and an unthrottled scheduler of its own.
+ */
+function createTestClient(transport = fixtureTransport()) {
+  return new FplClient({
+    baseUrl: 'https://fpl.test/api',
+    transport,
+    retries: 1,
+    retryDelay: 0,
+    cache: createRequestCache(createMemoryBackend()),
+    scheduler: createScheduler({ concurrency: Infinity, requestsPerSecond: Infinity }),
+    snapshots: createMemorySnapshotStore(),
+    archive: createMemorySnapshotStore()
+  });
+}
+
+/**
+ * Minimal stand-in for the Vercel response object.
+ */
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Invoke a handler with `query` (and request `headers`) and return the response.
+ * Handler logging is muted.
+ */
+async function runHandler(handler, query, client = createTestClient(), headers = {}) {
+  const res = createResponse();
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    await handler({ method: 'GET', query, headers }, res, client);
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+  return res;
+}
+
+module.exports = { FIXTURES_DIR, fixtureTransport, createTestClient, createResponse, runHandler };
@@ -0,0 +1,172 @@
+// test/send-digest.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const handler = require('../api/send-digest');
+const { createMemorySnapshotStore } = require('../api/_lib/snapshots');
+const { runHandler, createTestClient } = require('./helpers');
+
+const withEnv = async (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  for (const [key, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+// What a scheduled send is configured with, and the header Vercel Cron sends
+const sendingEnv = (webhookUrl) => ({ CRON_SECRET: 's3cret', DIGEST_LEAGUE_ID: '100', DIGEST_WEBHOOK_URL: webhookUrl });
+const CRON_HEADERS = { authorization: 'Bearer s3cret' };
+
+// A local webhook that records every JSON body it receives and answers `status`
+const startStubWebhook = async (status = 200) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => server.close() };
+};
+
+test('a dry run composes the latest finished gameweek without sending', async () => {
+  const res = await runHandler(handler, { leagueId: '100', dryRun: '1' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'dry-run');
+  assert.equal(res.body.gameweek, 2);
+
+  const { summary } = res.body;
+  assert.deepEqual(summary.topScorers.map(r => [r.teamName, r.points]), [['Bobs Bench', 41]]);
+  assert.deepEqual(summary.hits.map(r => [r.managerId, r.hits]), [[1002, 4]]);
+  assert.deepEqual(summary.autoSubs.map(r => [r.managerId, r.autoSubPoints]), [[1001, 5], [1003, 5]]);
+  // Saka blanked, so both his captains scored through the vice
+  assert.deepEqual(summary.captains.map(c => [c.name, c.count, c.viceCount]), [['Saka', 2, 2], ['Foden', 1, 0]]);
+
+  assert.match(res.body.digest.markdown, /^\*\*Test League — Gameweek 2 recap\*\*/);
+  assert.match(res.body.digest.text, /^Hits: Bobs Bench −4$/m);
+  assert.equal(res.body.webhook.format, 'slack');
+  assert.match(res.body.webhook.payload.text, /^\*Top scorer\*: Bobs Bench with 41 pts$/m);
+});
+
+test('a Discord digest of an earlier gameweek leaves out managers without a team', async () => {
+  const res = await runHandler(handler, { leagueId: '100', gameweek: '1', dryRun: '1', webhookFormat: 'discord' });
+  assert.equal(res.statusCode, 200);
+  // Cara had no GW1 team and is left out, with the reason as a warning
+  assert.deepEqual(res.body.summary.standings.map(r => [r.managerId, r.position]), [[1002, 1], [1001, 2]]);
+  assert.deepEqual(res.body.warnings.map(w => [w.managerId, w.reason]), [[1003, 'not-entered']]);
+  assert.deepEqual(Object.keys(res.body.webhook.payload), ['content']);
+});
+
+test('rejects unfinished gameweeks, unset webhooks and callers without the cron secret', async () => {
+  assert.equal((await runHandler(handler, { leagueId: '100', gameweek: '3', dryRun: '1' })).statusCode, 400);
+  assert.equal((await runHandler(handler, { leagueId: '100', webhookFormat: 'teams', dryRun: '1' })).statusCode, 400);
+  assert.equal((await runHandler(handler, { dryRun: '1' })).statusCode, 400);
+  await withEnv(sendingEnv(undefined), async () => {
+    assert.equal((await runHandler(handler, {}, createTestClient(), CRON_HEADERS)).statusCode, 400);
+  });
+  await withEnv(sendingEnv('http://127.0.0.1:9/hook'), async () => {
+    assert.equal((await runHandler(handler, {})).statusCode, 401);
+    // Previews need no secret
+    assert.equal((await runHandler(handler, { leagueId: '100', dryRun: '1' })).statusCode, 200);
+  });
+});
+
+test('sending needs the cron secret and only covers the configured league', async () => {
+  await withEnv({ ...sendingEnv('http://127.0.0.1:9/hook'), CRON_SECRET: undefined }, async () => {
+    const res = await runHandler(handler, {});
+    assert.deepEqual([res.statusCode, res.body], [400, { error: 'CRON_SECRET is not set; use dryRun=1 to preview the digest.' }]);
+  });
+  await withEnv({ ...sendingEnv('http://127.0.0.1:9/hook'), DIGEST_LEAGUE_ID: undefined }, async () => {
+    const res = await runHandler(handler, { leagueId: '100' }, createTestClient(), CRON_HEADERS);
+    assert.deepEqual([res.statusCode, res.body], [400, { error: 'DIGEST_LEAGUE_ID is not set.' }]);
+  });
+  await withEnv(sendingEnv('http://127.0.0.1:9/hook'), async () => {
+    const res = await runHandler(handler, { leagueId: '200' }, createTestClient(), CRON_HEADERS);
+    assert.equal(res.statusCode, 400);
+    assert.equal((await runHandler(handler, { leagueId: '200', leagueType: 'h2h', dryRun: '1' })).statusCode, 200);
+  });
+});
+
+test('posts each gameweek to the webhook once', async () => {
+  const stub = await startStubWebhook();
+  try {
+    const client = createTestClient();
+    await withEnv(sendingEnv(stub.url), async () => {
+      const sent = await runHandler(handler, {}, client, CRON_HEADERS);
+      assert.equal(sent.body.status, 'sent');
+      assert.deepEqual(stub.received, [sent.body.webhook.payload]);
+
+      const again = await runHandler(handler, {}, client, CRON_HEADERS);
+      assert.deepEqual([again.statusCode, again.body.status, again.body.gameweek], [200, 'already-sent', 2]);
+
+      // force is not something a caller can ask for
+      const forced = await runHandler(handler, { force: '1' }, client, CRON_HEADERS);
+      assert.equal(forced.body.status, 'already-sent');
+      assert.equal(stub.received.length, 1);
+    });
+  } finally {
+    stub.close();
+  }
+});
+
+test('refuses to send without a lasting record of what was sent', async () => {
+  const stub = await startStubWebhook();
+  try {
+    const client = createTestClient();
+    client.snapshots = { ...createMemorySnapshotStore(), persistent: false };
+    await withEnv(sendingEnv(stub.url), async () => {
+      const res = await runHandler(handler, {}, client, CRON_HEADERS);
+      assert.equal(res.statusCode, 503);
+      assert.match(res.body.error, /FPL_SNAPSHOT_DIR/);
+      assert.deepEqual(stub.received, []);
+      // Previews still work
+      assert.equal((await runHandler(handler, { leagueId: '100', dryRun: '1' }, client)).statusCode, 200);
+    });
+  } finally {
+    stub.close();
+  }
+});
+
+test('last season\'s final gameweek does not hold back the new season', async () => {
+  const stub = await startStubWebhook();
+  try {
+    const client = createTestClient();
+    await client.snapshots.save('digest-2024/25-classic-100', { version: 1, gameweek: 38, sentAt: '2025-05-25T18:00:00.000Z' });
+    await withEnv(sendingEnv(stub.url), async () => {
+      const sent = await runHandler(handler, {}, client, CRON_HEADERS);
+      assert.deepEqual([sent.body.status, sent.body.gameweek], ['sent', 2]);
+      assert.equal((await client.snapshots.latest('digest-2025/26-classic-100')).gameweek, 2);
+    });
+  } finally {
+    stub.close();
+  }
+});
+
+test('a failing webhook is a 502 and the gameweek is not marked as sent', async () => {
+  const stub = await startStubWebhook(500);
+  try {
+    const client = createTestClient();
+    await withEnv(sendingEnv(stub.url), async () => {
+      const failed = await runHandler(handler, {}, client, CRON_HEADERS);
+      assert.equal(failed.statusCode, 502);
+      assert.equal(await client.snapshots.latest('digest-2025/26-classic-100'), undefined);
+    });
+  } finally {
+    stub.close();
+  }
+});